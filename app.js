@@ -4,128 +4,378 @@
 module.exports = (app) => {
   console.log("Yay! The app was loaded!");
 
-  // Require yaml at the top level
-  const yaml = require('js-yaml');
+  // Config parsing and matching is shared with the CLI
+  const {
+    parseApproversConfig,
+    resolveApproversConfig,
+    validateSettings,
+    findConfigLine,
+    toList,
+    matchesPattern,
+    getPatternSyntax,
+    mapFileApprovers,
+    describeRequirementSource,
+    generateApproversComment
+  } = require('./approvers');
+  const { generateCodeownersBlock, updateCodeowners } = require('./codeowners');
+
+  // Name of the check run used to report approval progress
+  const CHECK_RUN_NAME = 'advanced-codeowners';
+
+  // Name of the check run used to report problems in approvers configs changed by a pull request
+  const CONFIG_LINT_CHECK_RUN_NAME = 'advanced-codeowners/config';
+
+  // Optional per-repository settings file, read from .github/ of the repository or of the org's .github repository
+  const SETTINGS_FILE_NAME = 'advanced-codeowners.yml';
+
+  // Locations GitHub reads the CODEOWNERS file from, in order of precedence
+  const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+  // Branch of the pull request keeping CODEOWNERS in sync with the approvers configs
+  const CODEOWNERS_SYNC_BRANCH = 'advanced-codeowners/sync-codeowners';
+
+  // Hidden marker identifying the status comment the app keeps up to date on each pull request
+  const STATUS_COMMENT_MARKER = '<!-- advanced-codeowners:status -->';
+
+  // Command in a pull request comment, e.g. `/codeowners explain path/to/file`
+  const COMMAND_PATTERN = /^\/codeowners[ \t]+([\w-]+)[ \t]*(.*)$/m;
+
+  // Associations of the commenters allowed to run commands, outside users could otherwise ping every owner over and over
+  const COMMAND_AUTHOR_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+  // GitHub rejects check run output fields longer than this
+  const CHECK_RUN_OUTPUT_LIMIT = 65535;
+
+  // The pull request files API lists at most this many files
+  const MAX_PULL_REQUEST_FILES = 3000;
+
+  // The compare API lists at most this many files
+  const MAX_COMPARE_FILES = 300;
+
+  // GitHub accepts at most this many annotations per check run request
+  const MAX_CHECK_RUN_ANNOTATIONS = 50;
+
+  // Settings of the repository of each webhook event, read once per event
+  const settingsByPayload = new WeakMap();
+
+  /**
+   * Get the settings of the repository of an event, read at most once per event
+   * @param {object} context - Probot context object
+   * @returns {Promise<{'config-path': string, 'team-suffix': string, 'comment-verbosity': string, 'auto-approve': boolean, 'use-fallback': boolean, 'sync-codeowners': boolean}>} - Settings, with environment variables as defaults
+   */
+  function loadSettings(context) {
+    if (!settingsByPayload.has(context.payload)) {
+      settingsByPayload.set(context.payload, readSettings(context));
+    }
+
+    return settingsByPayload.get(context.payload);
+  }
 
   /**
-   * Read approvers configuration from a YAML file in the repository
-   * @param {string} configPath - Path to the config file
+   * Read the settings file of the repository from its default branch. The environment variables are used for the
+   * settings it does not set, and for all settings if it is missing or invalid.
    * @param {object} context - Probot context object
-   * @returns {Promise<object|null>} - Parsed YAML config or null if not found
+   * @returns {Promise<object>} - Settings
    */
-  async function readApproversConfig(configPath, context) {
+  async function readSettings(context) {
+    const defaults = {
+      'config-path': process.env.CONFIG_PATH,
+      'team-suffix': process.env.TEAM_SUFFIX || '-approvers',
+      'comment-verbosity': process.env.COMMENT_VERBOSITY === 'detailed' ? 'detailed' : 'summary',
+      'auto-approve': process.env.AUTO_APPROVE !== 'false',
+      'use-fallback': process.env.USE_FALLBACK !== 'false',
+      'sync-codeowners': process.env.SYNC_CODEOWNERS === 'true'
+    };
+
     try {
-      const { pull_request } = context.payload;
-      const { owner, repo } = context.repo();
-      
-      // Get the file content from the base branch of the PR
+      const settings = await context.config(SETTINGS_FILE_NAME);
+      if (!settings) {
+        return defaults;
+      }
+
+      const errors = validateSettings(settings);
+      if (errors.length > 0) {
+        console.error(`Invalid settings file .github/${SETTINGS_FILE_NAME}:`, errors.join('; '));
+        return defaults;
+      }
+
+      return { ...defaults, ...settings };
+    } catch (error) {
+      console.error(`Failed to read settings file .github/${SETTINGS_FILE_NAME}:`, error.message);
+      return defaults;
+    }
+  }
+
+  /**
+   * Read the YAML source of a config file, from the given ref of the repository or the default branch of another repository
+   * @param {{repository: (string|null), path: string}} location - Config location, repository is null for the repository of the event
+   * @param {object} context - Probot context object
+   * @param {string} ref - Branch of the repository of the event to read from
+   * @returns {Promise<string|null>} - YAML source, or null if not found
+   */
+  async function readConfigContent(location, context, ref) {
+    try {
+      const [owner, repo] = location.repository
+        ? location.repository.split('/')
+        : [context.repo().owner, context.repo().repo];
+
+      // Configs of other repositories are read from their default branch
       const response = await context.octokit.repos.getContent({
         owner,
         repo,
-        path: configPath,
-        ref: pull_request.base.ref
+        path: location.path,
+        ...(location.repository ? {} : { ref })
       });
 
       // Decode the base64 content
-      const content = Buffer.from(response.data.content, 'base64').toString('utf8');
-      
-      // Parse YAML
-      return yaml.load(content);
-      
+      return Buffer.from(response.data.content, 'base64').toString('utf8');
     } catch (error) {
-      console.error(`Failed to read config file ${configPath}:`, error.message);
+      console.error(`Failed to read config file ${location.repository ? `${location.repository}:` : ''}${location.path}:`, error.message);
       return null;
     }
   }
 
   /**
-   * Find appropriate approvers for files in the pull request
+   * Read approvers configuration from a YAML file in the repository, merged with the configs it extends and includes
+   * @param {string} configPath - Path to the config file, prefixed with `owner/repo:` for a config of another repository
    * @param {object} context - Probot context object
-   * @param {object} pull_request - Pull request object
-   * @param {object} approversConfig - Approvers configuration object
-   * @returns {Promise<{fileApproverMap: Map<string, string[]>, fileTeamApproverMap: Map<string, string[]>}>} - Maps of file paths to arrays of approvers and team approvers
+   * @param {string} ref - Branch to read the config from, the base branch of the pull request
+   * @returns {Promise<{config: object|null, invalidConfigs: Array<{configPath: string, external: boolean, errors: Array<{line: number, message: string}>}>}>} - Merged config, or null with the errors of each invalid config and without errors if not found
    */
-  async function findApprovers(context, pull_request, approversConfig) {
-    const { minimatch } = require('minimatch');
-    
-    const files = await context.octokit.pulls.listFiles({
-      owner: context.payload.repository.owner.login,
-      repo: context.payload.repository.name,
-      pull_number: pull_request.number
+  async function readApproversConfig(configPath, context, ref) {
+    const result = await resolveApproversConfig(configPath, (location) => readConfigContent(location, context, ref));
+
+    result.invalidConfigs.forEach(({ configPath: invalidConfigPath, errors }) => {
+      console.error(`Invalid config file ${invalidConfigPath}:`, errors.map(error => error.message).join('; '));
     });
+    return result;
+  }
 
-    const fileApproverMap = new Map();
-    const fileTeamApproverMap = new Map();
-    
-    // Iterate through each file in the PR
-    for (const file of files.data) {
-      const filePath = file.filename;
-      const approvers = new Set(); // Use Set to avoid duplicates
-      const teamApprovers = new Set(); // Use Set to avoid duplicates
-      
-      // Check if config has patterns section
-      if (approversConfig.patterns) {
-        // Iterate through each pattern in the config
-        for (const patternConfig of approversConfig.patterns) {
-          const pattern = patternConfig.pattern;
-          
-          // Use minimatch to check if file matches the pattern
-          if (minimatch(filePath, pattern)) {
-            // Add individual owners
-            if (patternConfig.owners) {
-              if (Array.isArray(patternConfig.owners)) {
-                patternConfig.owners.forEach(approver => approvers.add(approver));
-              } else if (typeof patternConfig.owners === 'string') {
-                approvers.add(patternConfig.owners);
-              }
-            }
-            
-            // Add team owners
-            if (patternConfig['team-owners']) {
-              if (Array.isArray(patternConfig['team-owners'])) {
-                patternConfig['team-owners'].forEach(teamApprover => teamApprovers.add(teamApprover));
-              } else if (typeof patternConfig['team-owners'] === 'string') {
-                teamApprovers.add(patternConfig['team-owners']);
-              }
-            }
-          }
+  /**
+   * List the paths the approvers config of a team is looked up at, in order.
+   * With CENTRAL_CONFIG_REPO set, configs are only read from that repository, where a config for the repository
+   * of the pull request overrides the org-wide config of the team, and can not be edited from the pull request.
+   * @param {object} context - Probot context object
+   * @param {object} settings - Settings of the repository
+   * @param {string} teamName - Name of the -approvers team
+   * @returns {string[]} - Config paths, prefixed with `owner/repo:` for the central repository
+   */
+  function getConfigPathCandidates(context, settings, teamName) {
+    if (!process.env.CENTRAL_CONFIG_REPO) {
+      return [`${settings['config-path']}/${teamName}.yaml`];
+    }
+
+    const centralConfigPath = process.env.CENTRAL_CONFIG_PATH || 'approvers';
+    const { repo } = context.repo();
+    return [
+      `${process.env.CENTRAL_CONFIG_REPO}:${centralConfigPath}/${repo}/${teamName}.yaml`,
+      `${process.env.CENTRAL_CONFIG_REPO}:${centralConfigPath}/${teamName}.yaml`
+    ];
+  }
+
+  /**
+   * Read the approvers configuration file of every given -approvers team
+   * @param {string[]} teamNames - Names of the -approvers teams
+   * @param {object} context - Probot context object
+   * @param {object} pull_request - Pull request object, the configs are read from its base branch
+   * @returns {Promise<{approversConfigs: object[], configPaths: string[], missingConfigPaths: string[], invalidConfigs: Array<{configPath: string, external: boolean, errors: Array}>}>} - Parsed configs, the paths they were read from, the paths that could not be read and the configs that are invalid
+   */
+  async function readApproversConfigs(teamNames, context, pull_request) {
+    const approversConfigs = [];
+    const configPaths = [];
+    const missingConfigPaths = [];
+    const invalidConfigs = [];
+    const settings = await loadSettings(context);
+
+    for (const teamName of teamNames) {
+      const candidates = getConfigPathCandidates(context, settings, teamName);
+      let result = { config: null, invalidConfigs: [] };
+      let configPath;
+
+      // The first config found is used, an invalid config is reported rather than skipped
+      for (configPath of candidates) {
+        result = await readApproversConfig(configPath, context, pull_request.base.ref);
+        if (result.config || result.invalidConfigs.length > 0) {
+          break;
         }
       }
-      
-      // If no specific pattern matched, use fallback approvers if available
-      if (approvers.size === 0 && teamApprovers.size === 0 && approversConfig.fallback) {
-        if (approversConfig.fallback.owners) {
-          if (Array.isArray(approversConfig.fallback.owners)) {
-            approversConfig.fallback.owners.forEach(approver => approvers.add(approver));
-          } else if (typeof approversConfig.fallback.owners === 'string') {
-            approvers.add(approversConfig.fallback.owners);
-          }
-        }
-        
-        if (approversConfig.fallback['team-owners']) {
-          if (Array.isArray(approversConfig.fallback['team-owners'])) {
-            approversConfig.fallback['team-owners'].forEach(teamApprover => teamApprovers.add(teamApprover));
-          } else if (typeof approversConfig.fallback['team-owners'] === 'string') {
-            teamApprovers.add(approversConfig.fallback['team-owners']);
-          }
-        }
+
+      if (result.config) {
+        approversConfigs.push(result.config);
+        configPaths.push(configPath);
+      } else if (result.invalidConfigs.length > 0) {
+        invalidConfigs.push(...result.invalidConfigs);
+      } else {
+        missingConfigPaths.push(...candidates);
       }
-      
-      // Convert Set to Array and store in maps
-      fileApproverMap.set(filePath, Array.from(approvers));
-      fileTeamApproverMap.set(filePath, Array.from(teamApprovers));
     }
+
+    return { approversConfigs, configPaths, missingConfigPaths, invalidConfigs };
+  }
+
+  /**
+   * Generate a comment body listing the errors of invalid approvers configs
+   * @param {Array<{configPath: string, errors: Array<{line: number, message: string}>}>} invalidConfigs - Invalid configs and their errors
+   * @returns {string} - Formatted comment body
+   */
+  function generateInvalidConfigComment(invalidConfigs) {
+    let commentBody = "## ❌ Invalid Approvers Configuration\n\n";
+    commentBody += "Approvers can not be determined until the following errors are fixed:\n\n";
+
+    invalidConfigs.forEach(({ configPath, errors }) => {
+      commentBody += `**\`${configPath}\`**\n`;
+      errors.forEach(error => {
+        commentBody += `- Line ${error.line}: ${error.message}\n`;
+      });
+      commentBody += "\n";
+    });
+
+    return commentBody;
+  }
+
+  /**
+   * Fail the check run with an annotation for every error of the invalid approvers configs
+   * @param {object} context - Probot context object
+   * @param {object} pull_request - Pull request object
+   * @param {Array<{configPath: string, errors: Array<{line: number, message: string}>}>} invalidConfigs - Invalid configs and their errors
+   * @returns {Promise<void>}
+   */
+  async function publishInvalidConfigCheckRun(context, pull_request, invalidConfigs) {
+    const annotations = [];
+    // Files of other repositories can not be annotated, their errors are only listed in the status comment
+    invalidConfigs.filter(({ external }) => !external).forEach(({ configPath, errors }) => {
+      errors.forEach(error => annotations.push({
+        path: configPath,
+        start_line: error.line,
+        end_line: error.line,
+        annotation_level: 'failure',
+        message: error.message
+      }));
+    });
+
+    await publishCheckRun(context, pull_request, {
+      status: 'completed',
+      conclusion: 'failure',
+      output: {
+        title: 'Invalid approvers configuration',
+        summary: generateInvalidConfigComment(invalidConfigs),
+        annotations: annotations.slice(0, MAX_CHECK_RUN_ANNOTATIONS)
+      }
+    });
+  }
+
+  /**
+   * Get the names of every -approvers team requested to review a pull request
+   * @param {object} pull_request - Pull request object
+   * @param {string} teamSuffix - Suffix of the names of the approvers teams, `-approvers` unless changed in the settings
+   * @param {object} [requested_team] - Team from a review_requested event, which may not be listed on the pull request yet
+   * @returns {string[]} - Names of the -approvers teams
+   */
+  function getApproverTeamNames(pull_request, teamSuffix, requested_team) {
+    const teamNames = new Set();
+
+    for (const team of pull_request.requested_teams || []) {
+      if (team.name.endsWith(teamSuffix)) {
+        teamNames.add(team.name);
+      }
+    }
+
+    if (requested_team && requested_team.name.endsWith(teamSuffix)) {
+      teamNames.add(requested_team.name);
+    }
+
+    return Array.from(teamNames);
+  }
+
+  /**
+   * Check if the approvals meet a requirement. With mode "all" every owner and every team must approve,
+   * with mode "any" one of them suffices. Either way the minimum number of distinct approvals applies.
+   * @param {object} requirement - Requirement built from a pattern or fallback entry
+   * @param {Array} approverSummary - Summary of approvers and the teams they are members of
+   * @returns {boolean} - Whether the requirement is met
+   */
+  function isRequirementMet(requirement, approverSummary) {
+    if (requirement.owners.length === 0 && requirement.teamOwners.length === 0) {
+      return true;
+    }
+
+    // Count each approving reviewer once, whether listed as an owner or as a member of an owning team
+    const approvingReviewers = approverSummary.filter(summary =>
+      requirement.owners.includes(summary.reviewer) ||
+      requirement.teamOwners.some(team => summary.satisfiedAsTeamMember.includes(team))
+    );
+
+    if (approvingReviewers.length < requirement.minApprovals) {
+      return false;
+    }
+
+    const ownerApproved = (owner) => approverSummary.some(summary => summary.reviewer === owner);
+    const teamApproved = (team) =>
+      approverSummary.filter(summary => summary.satisfiedAsTeamMember.includes(team)).length >= requirement.minApprovalsPerTeam;
+
+    if (requirement.mode === 'any') {
+      return requirement.owners.some(ownerApproved) || requirement.teamOwners.some(teamApproved);
+    }
+
+    return requirement.owners.every(ownerApproved) && requirement.teamOwners.every(teamApproved);
+  }
+
+  // Files of the pull request of each webhook event, shared by the handlers of the event
+  const pullRequestFilesByPayload = new WeakMap();
+
+  /**
+   * List every file changed in the pull request. The list is fetched once per webhook event.
+   * @param {object} context - Probot context object
+   * @param {object} pull_request - Pull request object
+   * @returns {Promise<{files: Array<object>, truncated: boolean}>} - Files of the pull request and whether the list is incomplete
+   */
+  function listPullRequestFiles(context, pull_request) {
+    if (!pullRequestFilesByPayload.has(context.payload)) {
+      pullRequestFilesByPayload.set(context.payload, (async () => {
+        // Page through every file, the API only returns 30 per page by default
+        const files = await context.octokit.paginate(context.octokit.pulls.listFiles, {
+          owner: context.payload.repository.owner.login,
+          repo: context.payload.repository.name,
+          pull_number: pull_request.number,
+          per_page: 100
+        });
+
+        // The API stops listing files at its limit, so owners of the remaining files are unknown
+        const truncated = files.length >= MAX_PULL_REQUEST_FILES || (pull_request.changed_files || 0) > files.length;
+        if (truncated) {
+          console.log(`PR #${pull_request.number} changes more files than the API can list (${files.length} listed)`);
+        }
+
+        return { files, truncated };
+      })());
+    }
+
+    return pullRequestFilesByPayload.get(context.payload);
+  }
+
+  /**
+   * Find appropriate approvers for files in the pull request
+   * @param {object} context - Probot context object
+   * @param {object} pull_request - Pull request object
+   * @param {object[]} approversConfigs - Approvers configuration objects, one per -approvers team
+   * @param {string[]} configPaths - Paths the configs were read from
+   * @returns {Promise<{fileApproverMap: Map<string, string[]>, fileTeamApproverMap: Map<string, string[]>, fileRequirementMap: Map<string, object[]>, truncated: boolean}>} - Maps of file paths to arrays of approvers, team approvers and the requirements of the matched patterns, and whether the file list is incomplete
+   */
+  async function findApprovers(context, pull_request, approversConfigs, configPaths) {
+    const { files, truncated } = await listPullRequestFiles(context, pull_request);
+    const { 'use-fallback': useFallback } = await loadSettings(context);
+    const { fileApproverMap, fileTeamApproverMap, fileRequirementMap } = mapFileApprovers(files, approversConfigs, configPaths, { useFallback });
     
-    return { fileApproverMap, fileTeamApproverMap };
+    return { fileApproverMap, fileTeamApproverMap, fileRequirementMap, truncated };
   }
 
   /**
-   * Request reviews from all approvers and post confirmation/error comments
+   * Request reviews from all approvers
    * @param {object} context - Probot context object
    * @param {object} pull_request - Pull request object
    * @param {Map<string, string[]>} fileApproverMap - Map of file paths to arrays of approvers
    * @param {Map<string, string[]>} fileTeamApproverMap - Map of file paths to arrays of team approvers
-   * @returns {Promise<void>}
+   * @returns {Promise<string|null>} - Confirmation or error message for the status comment, null when nobody was requested
    */
   async function requestReviewsFromApprovers(context, pull_request, fileApproverMap, fileTeamApproverMap) {
     // Collect all unique approvers from the fileApproverMap
@@ -164,7 +414,6 @@ module.exports = (app) => {
           ...requestBody
         });
         
-        // Post confirmation comment
         let confirmationMessage = "✅ Review requests have been sent to:";
         if (reviewers.length > 0) {
           confirmationMessage += `\n**Individual reviewers:** ${reviewers.join(', ')}`;
@@ -173,112 +422,76 @@ module.exports = (app) => {
           confirmationMessage += `\n**Team reviewers:** ${teamReviewers.join(', ')}`;
         }
         
-        await context.octokit.issues.createComment({
-          owner: context.payload.repository.owner.login,
-          repo: context.payload.repository.name,
-          issue_number: pull_request.number,
-          body: confirmationMessage
-        });
+        return confirmationMessage;
       } catch (error) {
         console.error('Failed to request reviews:', error.message);
         
-        // Post error comment
-        await context.octokit.issues.createComment({
-          owner: context.payload.repository.owner.login,
-          repo: context.payload.repository.name,
-          issue_number: pull_request.number,
-          body: `⚠️ Failed to request reviews from some approvers. Error: ${error.message}`
-        });
+        return `⚠️ Failed to request reviews from some approvers. Error: ${error.message}`;
       }
     }
+
+    return null;
   }
 
+  // Members of each team, listed once per webhook event and shared by the handlers of the event
+  const teamMembersByPayload = new WeakMap();
+
+  // Members of each team kept across events, only used when TEAM_MEMBERS_CACHE_TTL is set
+  const teamMembersCache = new Map();
+
   /**
-   * Generate a detailed comment body with file approvers
-   * @param {Map<string, string[]>} fileApproverMap - Map of file paths to arrays of approvers
-   * @param {Map<string, string[]>} fileTeamApproverMap - Map of file paths to arrays of team approvers
-   * @returns {string} - Formatted comment body
+   * Get the logins of the members of a team, listed at most once per team per event.
+   * Like CODEOWNERS, a member of a child team counts as a member of the parent team, GitHub already includes them in the listing.
+   * @param {object} context - Probot context object
+   * @param {string} team - Team slug
+   * @returns {Promise<Set<string>>} - Logins of the team members, empty if the team does not exist
    */
-  function generateApproversComment(fileApproverMap, fileTeamApproverMap) {
-    let commentBody = "## 📋 Approvers Required\n\n";
-    
-    if (fileApproverMap.size === 0) {
-      commentBody += "No files found in this pull request.\n";
-    } else {
-      commentBody += "The following files require approval:\n\n";
-      
-      // Group files by approvers for cleaner display
-      const approverToFiles = new Map();
-      
-      for (const [filePath, approvers] of fileApproverMap) {
-        const teamApprovers = fileTeamApproverMap.get(filePath) || [];
-        
-        if (approvers.length === 0 && teamApprovers.length === 0) {
-          // Files with no approvers
-          const key = "_no_approvers";
-          if (!approverToFiles.has(key)) {
-            approverToFiles.set(key, []);
-          }
-          approverToFiles.get(key).push(filePath);
-        } else {
-          // Files with approvers
-          let approverKey = "";
-          if (approvers.length > 0) {
-            approverKey += `Individual: ${approvers.sort().join(", ")}`;
-          }
-          if (teamApprovers.length > 0) {
-            if (approverKey) approverKey += " | ";
-            approverKey += `Teams: ${teamApprovers.sort().join(", ")}`;
-          }
-          
-          if (!approverToFiles.has(approverKey)) {
-            approverToFiles.set(approverKey, []);
-          }
-          approverToFiles.get(approverKey).push(filePath);
-        }
-      }
-      
-      // Generate comment sections
-      for (const [approvers, files] of approverToFiles) {
-        if (approvers === "_no_approvers") {
-          commentBody += "### ⚠️ Files with no specific approvers:\n";
-          files.forEach(file => {
-            commentBody += `- \`${file}\`\n`;
-          });
-        } else {
-          commentBody += `### 👥 Approvers: ${approvers}\n`;
-          files.forEach(file => {
-            commentBody += `- \`${file}\`\n`;
-          });
-        }
-        commentBody += "\n";
-      }
-      
-      // Add summary
-      const totalFiles = fileApproverMap.size;
-      const uniqueApprovers = new Set();
-      const uniqueTeamApprovers = new Set();
-      
-      for (const approvers of fileApproverMap.values()) {
-        approvers.forEach(approver => uniqueApprovers.add(approver));
-      }
-      
-      for (const teamApprovers of fileTeamApproverMap.values()) {
-        teamApprovers.forEach(teamApprover => uniqueTeamApprovers.add(teamApprover));
-      }
-      
-      commentBody += "---\n";
-      commentBody += `**Summary:** ${totalFiles} file(s) requiring approval\n`;
-      
-      if (uniqueApprovers.size > 0) {
-        commentBody += `**Individual approvers:** ${Array.from(uniqueApprovers).sort().join(", ")}\n`;
-      }
-      if (uniqueTeamApprovers.size > 0) {
-        commentBody += `**Team approvers:** ${Array.from(uniqueTeamApprovers).sort().join(", ")}\n`;
+  function getTeamMembers(context, team) {
+    if (!teamMembersByPayload.has(context.payload)) {
+      teamMembersByPayload.set(context.payload, new Map());
+    }
+
+    const eventTeamMembers = teamMembersByPayload.get(context.payload);
+    if (!eventTeamMembers.has(team)) {
+      eventTeamMembers.set(team, listTeamMembers(context, team));
+    }
+
+    return eventTeamMembers.get(team);
+  }
+
+  /**
+   * List the members of a team, reusing the result of an earlier event for TEAM_MEMBERS_CACHE_TTL seconds
+   * @param {object} context - Probot context object
+   * @param {string} team - Team slug
+   * @returns {Promise<Set<string>>} - Logins of the team members, empty if the team does not exist
+   */
+  async function listTeamMembers(context, team) {
+    const org = context.payload.repository.owner.login;
+    const ttl = Number(process.env.TEAM_MEMBERS_CACHE_TTL || 0) * 1000;
+    const cacheKey = `${org}/${team}`;
+
+    const cached = teamMembersCache.get(cacheKey);
+    if (ttl > 0 && cached && cached.expiresAt > Date.now()) {
+      return cached.members;
+    }
+
+    try {
+      const members = await context.octokit.paginate(context.octokit.teams.listMembersInOrg, {
+        org,
+        team_slug: team,
+        per_page: 100
+      });
+      const logins = new Set(members.map(member => member.login));
+
+      if (ttl > 0) {
+        teamMembersCache.set(cacheKey, { members: logins, expiresAt: Date.now() + ttl });
       }
+
+      return logins;
+    } catch (error) {
+      console.log(`Failed to list the members of team ${team}, or team doesn't exist:`, error.message);
+      return new Set();
     }
-    
-    return commentBody;
   }
 
   /**
@@ -303,19 +516,9 @@ module.exports = (app) => {
     // Check team memberships for the reviewer
     const teamMemberships = new Set();
     for (const team of allTeamApprovers) {
-      try {
-        const membership = await context.octokit.teams.getMembershipForUserInOrg({
-          org: context.payload.repository.owner.login,
-          team_slug: team,
-          username: reviewer
-        });
-        
-        if (membership.data.state === 'active') {
-          teamMemberships.add(team);
-        }
-      } catch (error) {
-        // User is not a member of this team, or team doesn't exist
-        console.log(`User ${reviewer} is not a member of team ${team} or team doesn't exist`);
+      const members = await getTeamMembers(context, team);
+      if (members.has(reviewer)) {
+        teamMemberships.add(team);
       }
     }
 
@@ -350,23 +553,29 @@ module.exports = (app) => {
   }
 
   /**
-   * Get all approved reviews for a pull request
+   * Get the latest review of each user for a pull request, comments do not replace an earlier approval or change request
    * @param {object} context - Probot context object
    * @param {number} pullNumber - Pull request number
-   * @returns {Promise<Array>} - Array of approved reviews
+   * @returns {Promise<Array>} - Array of the latest review of each user
    */
-  async function getAllApprovedReviews(context, pullNumber) {
+  async function getLatestReviews(context, pullNumber) {
     try {
-      const reviews = await context.octokit.pulls.listReviews({
+      // Page through every review, a later change request or dismissal may be past the first page
+      const reviews = await context.octokit.paginate(context.octokit.pulls.listReviews, {
         owner: context.payload.repository.owner.login,
         repo: context.payload.repository.name,
-        pull_number: pullNumber
+        pull_number: pullNumber,
+        per_page: 100
       });
       
-      // Filter for approved reviews and get the latest review per user
+      // Get the latest review per user, ignoring reviews that only comment
       const latestReviewsByUser = new Map();
       
-      for (const review of reviews.data) {
+      for (const review of reviews) {
+        if (review.state === 'COMMENTED' || review.state === 'PENDING') {
+          continue;
+        }
+
         const userId = review.user.login;
         if (!latestReviewsByUser.has(userId) || 
             new Date(review.submitted_at) > new Date(latestReviewsByUser.get(userId).submitted_at)) {
@@ -374,12 +583,53 @@ module.exports = (app) => {
         }
       }
       
-      // Return only approved reviews
-      return Array.from(latestReviewsByUser.values()).filter(review => review.state === 'APPROVED');
+      return Array.from(latestReviewsByUser.values());
     } catch (error) {
-      console.error('Failed to get approved reviews:', error.message);
+      console.error('Failed to get reviews:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Check whether an approval still counts for a file under the require-approval-on-latest-commit option of a requirement
+   * @param {object} summary - Approver summary entry with the commit the review was made on
+   * @param {object} requirement - Requirement built by buildRequirement
+   * @param {string} filePath - Path of the file being evaluated
+   * @param {string} headSha - Current head commit of the pull request
+   * @param {Map<string, string[]|null>} changedFilesByCommit - Files changed between each reviewed commit and the head
+   * @returns {boolean} - True if the approval counts
+   */
+  function isApprovalCurrent(summary, requirement, filePath, headSha, changedFilesByCommit) {
+    if (!requirement.approvalOnLatestCommit || summary.commitId === headSha) {
+      return true;
+    }
+
+    if (requirement.approvalOnLatestCommit === 'changed-files') {
+      // When the changes can not be determined, the approval is treated as outdated
+      const changedFiles = changedFilesByCommit.get(summary.commitId);
+      return Boolean(changedFiles) && !changedFiles.includes(filePath);
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the reviewers whose outstanding change request blocks a requirement
+   * @param {object} requirement - Requirement built by buildRequirement
+   * @param {Array} blockerSummary - Reviewers who requested changes and the owners and teams they represent
+   * @returns {string[]} - Logins of the blocking reviewers
+   */
+  function findRequirementBlockers(requirement, blockerSummary) {
+    if (!requirement.blockOnChangesRequested) {
       return [];
     }
+
+    return blockerSummary
+      .filter(summary =>
+        requirement.owners.includes(summary.reviewer) ||
+        requirement.teamOwners.some(team => summary.satisfiedAsTeamMember.includes(team))
+      )
+      .map(summary => summary.reviewer);
   }
 
   /**
@@ -388,35 +638,16 @@ module.exports = (app) => {
    * @param {object} pull_request - Pull request object
    * @param {Map<string, string[]>} fileApproverMap - Map of file paths to arrays of approvers
    * @param {Map<string, string[]>} fileTeamApproverMap - Map of file paths to arrays of team approvers
-   * @returns {Promise<{allCriteriaMet: boolean, satisfiedFiles: Set<string>, approverSummary: Array}>}
+   * @param {Map<string, object[]>} fileRequirementMap - Map of file paths to the requirements of the matched patterns
+   * @returns {Promise<{allCriteriaMet: boolean, approvalRequired: boolean, satisfiedFiles: Set<string>, blockedFiles: Map<string, string[]>, outdatedFiles: Set<string>, approverSummary: Array}>}
    */
-  async function checkAllApprovalCriteriaMet(context, pull_request, fileApproverMap, fileTeamApproverMap) {
-    // Get all approved reviews
-    const approvedReviews = await getAllApprovedReviews(context, pull_request.number);
-    
-    if (approvedReviews.length === 0) {
-      return { allCriteriaMet: false, satisfiedFiles: new Set(), approverSummary: [] };
-    }
+  async function checkAllApprovalCriteriaMet(context, pull_request, fileApproverMap, fileTeamApproverMap, fileRequirementMap) {
+    const latestReviews = await getLatestReviews(context, pull_request.number);
+    const approvedReviews = latestReviews.filter(review => review.state === 'APPROVED');
+    const changesRequestedReviews = latestReviews.filter(review => review.state === 'CHANGES_REQUESTED');
     
-    const satisfiedFiles = new Set();
     const approverSummary = [];
     
-    // Collect all required individual and team approvers across all files
-    const requiredIndividuals = new Set();
-    const requiredTeams = new Set();
-    
-    for (const [filePath, approvers] of fileApproverMap) {
-      approvers.forEach(approver => requiredIndividuals.add(approver));
-    }
-    
-    for (const [filePath, teamApprovers] of fileTeamApproverMap) {
-      teamApprovers.forEach(team => requiredTeams.add(team));
-    }
-    
-    // Track which required reviewers have approved
-    const approvedIndividuals = new Set();
-    const approvedTeams = new Set();
-    
     // Check each approved reviewer
     for (const review of approvedReviews) {
       const satisfaction = await checkReviewerSatisfaction(
@@ -427,53 +658,114 @@ module.exports = (app) => {
       );
       
       if (satisfaction.satisfiedFiles.length > 0) {
-        // Add satisfied files to our set
-        satisfaction.satisfiedFiles.forEach(file => satisfiedFiles.add(file));
-        
-        // Track individual approvals
-        if (satisfaction.satisfiedAsIndividual) {
-          approvedIndividuals.add(review.user.login);
-        }
-        
-        // Track team approvals
-        satisfaction.satisfiedAsTeamMember.forEach(team => approvedTeams.add(team));
-        
         // Add to summary
         approverSummary.push({
           reviewer: review.user.login,
           satisfiedAsIndividual: satisfaction.satisfiedAsIndividual,
           satisfiedAsTeamMember: satisfaction.satisfiedAsTeamMember,
-          satisfiedFiles: satisfaction.satisfiedFiles
+          satisfiedFiles: satisfaction.satisfiedFiles,
+          commitId: review.commit_id
         });
       }
     }
     
-    // Check if all required individuals and teams have approved
-    const allIndividualsApproved = [...requiredIndividuals].every(individual => approvedIndividuals.has(individual));
-    const allTeamsApproved = [...requiredTeams].every(team => approvedTeams.has(team));
-    const allCriteriaMet = allIndividualsApproved && allTeamsApproved && (requiredIndividuals.size > 0 || requiredTeams.size > 0);
-    
-    return { allCriteriaMet, satisfiedFiles, approverSummary };
-  }
+    // Owners who requested changes only matter when a requirement blocks on them
+    const blockerSummary = [];
+    const blockingEnabled = Array.from(fileRequirementMap.values())
+      .some(requirements => requirements.some(requirement => requirement.blockOnChangesRequested));
 
-  /**
-   * Approve a pull request using GITHUB_TOKEN
-   * @param {object} context - Probot context object
-   * @param {number} pullNumber - Pull request number
-   * @returns {Promise<boolean>} - Success status
-   */
-  async function approvePullRequest(context, pullNumber) {
-    if (!process.env.GITHUB_TOKEN) {
-      console.error('GITHUB_TOKEN not provided for final approval');
-      return false;
+    if (blockingEnabled) {
+      for (const review of changesRequestedReviews) {
+        const satisfaction = await checkReviewerSatisfaction(context, review.user.login, fileApproverMap, fileTeamApproverMap);
+
+        if (satisfaction.satisfiedFiles.length > 0) {
+          blockerSummary.push({
+            reviewer: review.user.login,
+            satisfiedAsTeamMember: satisfaction.satisfiedAsTeamMember
+          });
+        }
+      }
     }
     
-    try {
-      // Create a new Octokit instance with the GITHUB_TOKEN using dynamic import for ES module
-      const { Octokit } = await import('@octokit/rest');
-      const octokit = new Octokit({
-        auth: process.env.GITHUB_TOKEN
-      });
+    // Approvals of older commits are only checked against the files changed since when a requirement asks for it
+    const headSha = pull_request.head && pull_request.head.sha;
+    const changedFilesByCommit = new Map();
+    const changedFilesModeEnabled = Array.from(fileRequirementMap.values())
+      .some(requirements => requirements.some(requirement => requirement.approvalOnLatestCommit === 'changed-files'));
+
+    if (changedFilesModeEnabled) {
+      for (const summary of approverSummary) {
+        if (summary.commitId && summary.commitId !== headSha && !changedFilesByCommit.has(summary.commitId)) {
+          changedFilesByCommit.set(summary.commitId, await getChangedFilesBetween(context, summary.commitId, headSha));
+        }
+      }
+    }
+
+    // Evaluate each file on its own, it is satisfied once the requirement of every matched pattern is met
+    // and no owner of a blocking requirement has an outstanding change request
+    const satisfiedFiles = new Set();
+    const blockedFiles = new Map();
+    const outdatedFiles = new Set();
+    let requiredFiles = 0;
+    for (const [filePath, requirements] of fileRequirementMap) {
+      if (!requirements.some(requirement => requirement.owners.length > 0 || requirement.teamOwners.length > 0)) {
+        continue;
+      }
+
+      requiredFiles++;
+
+      const blockers = new Set(requirements.flatMap(requirement => findRequirementBlockers(requirement, blockerSummary)));
+      if (blockers.size > 0) {
+        blockedFiles.set(filePath, Array.from(blockers));
+        continue;
+      }
+
+      const requirementsMet = requirements.every(requirement => isRequirementMet(
+        requirement,
+        approverSummary.filter(summary => isApprovalCurrent(summary, requirement, filePath, headSha, changedFilesByCommit))
+      ));
+
+      if (requirementsMet) {
+        satisfiedFiles.add(filePath);
+      } else if (requirements.every(requirement => isRequirementMet(requirement, approverSummary))) {
+        // Approved, but only by approvals that no longer count since the file changed
+        outdatedFiles.add(filePath);
+      }
+    }
+    
+    // A pull request without any file requiring approval meets every criterion, but there is nothing to approve
+    const allCriteriaMet = satisfiedFiles.size === requiredFiles;
+    const approvalRequired = requiredFiles > 0;
+    
+    return { allCriteriaMet, approvalRequired, satisfiedFiles, blockedFiles, outdatedFiles, approverSummary };
+  }
+
+  /**
+   * Create an Octokit instance authenticated with the GITHUB_TOKEN of the bot user
+   * @returns {Promise<object>} - Octokit instance
+   */
+  async function createTokenOctokit() {
+    // Use dynamic import for ES module
+    const { Octokit } = await import('@octokit/rest');
+    return new Octokit({
+      auth: process.env.GITHUB_TOKEN
+    });
+  }
+
+  /**
+   * Approve a pull request using GITHUB_TOKEN
+   * @param {object} context - Probot context object
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<boolean>} - Success status
+   */
+  async function approvePullRequest(context, pullNumber) {
+    if (!process.env.GITHUB_TOKEN) {
+      console.error('GITHUB_TOKEN not provided for final approval');
+      return false;
+    }
+    
+    try {
+      const octokit = await createTokenOctokit();
       
       await octokit.pulls.createReview({
         owner: context.payload.repository.owner.login,
@@ -491,6 +783,169 @@ module.exports = (app) => {
     }
   }
 
+  /**
+   * Find the approval the bot user left on a pull request, if it still stands
+   * @param {object} context - Probot context object
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<object|null>} - The bot's approved review or null
+   */
+  async function findBotApproval(context, pullNumber) {
+    if (!process.env.GITHUB_TOKEN) {
+      return null;
+    }
+
+    try {
+      const octokit = await createTokenOctokit();
+      const { data: botUser } = await octokit.users.getAuthenticated();
+
+      const reviews = await context.octokit.paginate(context.octokit.pulls.listReviews, {
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        pull_number: pullNumber,
+        per_page: 100
+      });
+
+      // Only the latest review of the bot user counts
+      const botReviews = reviews.filter(review => review.user.login === botUser.login);
+      const latestReview = botReviews[botReviews.length - 1];
+
+      return latestReview && latestReview.state === 'APPROVED' ? latestReview : null;
+    } catch (error) {
+      console.error(`Failed to find bot approval for PR #${pullNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Dismiss the approval the bot user left on a pull request, once it no longer reflects the required approvals
+   * @param {object} context - Probot context object
+   * @param {number} pullNumber - Pull request number
+   * @param {string} reason - Why the approval is dismissed, shown on the dismissed review
+   * @returns {Promise<string|null>} - Notice for the status comment, null when there was no approval to dismiss
+   */
+  async function dismissBotApproval(context, pullNumber, reason) {
+    const botApproval = await findBotApproval(context, pullNumber);
+    if (!botApproval) {
+      return null;
+    }
+
+    try {
+      await context.octokit.pulls.dismissReview({
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        pull_number: pullNumber,
+        review_id: botApproval.id,
+        message: reason
+      });
+
+      return `🔄 The automatic approval has been dismissed. ${reason}`;
+    } catch (error) {
+      console.error(`Failed to dismiss approval on PR #${pullNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  // Files changed between two commits, compared once per webhook event and shared by the handlers of the event
+  const changedFilesByPayload = new WeakMap();
+
+  /**
+   * Get the files changed between two commits. Each pair of commits is compared once per webhook event.
+   * @param {object} context - Probot context object
+   * @param {string} base - SHA of the base commit
+   * @param {string} head - SHA of the head commit
+   * @returns {Promise<string[]|null>} - Changed file paths, or null if they could not all be determined
+   */
+  function getChangedFilesBetween(context, base, head) {
+    if (!changedFilesByPayload.has(context.payload)) {
+      changedFilesByPayload.set(context.payload, new Map());
+    }
+
+    const comparisons = changedFilesByPayload.get(context.payload);
+    const basehead = `${base}...${head}`;
+    if (!comparisons.has(basehead)) {
+      comparisons.set(basehead, compareCommits(context, base, head));
+    }
+
+    return comparisons.get(basehead);
+  }
+
+  /**
+   * Compare two commits and list the files changed between them
+   * @param {object} context - Probot context object
+   * @param {string} base - SHA of the base commit
+   * @param {string} head - SHA of the head commit
+   * @returns {Promise<string[]|null>} - Changed file paths, or null if they could not all be determined
+   */
+  async function compareCommits(context, base, head) {
+    try {
+      const comparison = await context.octokit.repos.compareCommitsWithBasehead({
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        basehead: `${base}...${head}`
+      });
+
+      const files = comparison.data.files || [];
+      if (files.length >= MAX_COMPARE_FILES) {
+        return null;
+      }
+
+      // A renamed file changes both its old and new path
+      const changedFiles = new Set();
+      files.forEach(file => {
+        changedFiles.add(file.filename);
+        if (file.previous_filename) {
+          changedFiles.add(file.previous_filename);
+        }
+      });
+
+      return Array.from(changedFiles);
+    } catch (error) {
+      console.error(`Failed to compare ${base}...${head}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the names of the -approvers teams requested to review a pull request, including those reviewed already.
+   * GitHub removes a team from requested_teams once one of its members approves, so the timeline is replayed in order
+   * to find teams that were requested earlier. A team whose review request was removed is no longer counted.
+   * @param {object} context - Probot context object
+   * @param {object} pull_request - Pull request object
+   * @param {object} [requested_team] - Team from a review_requested event, which may not be listed on the pull request yet
+   * @returns {Promise<string[]>} - Names of the -approvers teams
+   */
+  async function getRequestedApproverTeamNames(context, pull_request, requested_team) {
+    const { 'team-suffix': teamSuffix } = await loadSettings(context);
+    const teamNames = new Set();
+
+    try {
+      const events = await context.octokit.paginate(context.octokit.issues.listEventsForTimeline, {
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        issue_number: pull_request.number,
+        per_page: 100
+      });
+
+      events.forEach(event => {
+        if (!event.requested_team || !event.requested_team.name.endsWith(teamSuffix)) {
+          return;
+        }
+        if (event.event === 'review_requested') {
+          teamNames.add(event.requested_team.name);
+        } else if (event.event === 'review_request_removed') {
+          teamNames.delete(event.requested_team.name);
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to read timeline of PR #${pull_request.number}:`, error.message);
+    }
+
+    // The teams requested right now count even if the timeline does not list them yet
+    getApproverTeamNames(pull_request, teamSuffix, requested_team).forEach(teamName => teamNames.add(teamName));
+
+    return Array.from(teamNames);
+  }
+
   /**
    * Generate final approval summary comment
    * @param {Array} approverSummary - Summary of approvers and what they satisfied
@@ -531,149 +986,991 @@ module.exports = (app) => {
     return commentBody;
   }
 
+  /**
+   * Generate the warning shown when a pull request has more files than the API can list
+   * @param {number} listedFiles - Number of files the API returned
+   * @returns {string} - Formatted warning
+   */
+  function generateTruncationWarning(listedFiles) {
+    return `⚠️ This pull request changes more files than the GitHub API can list. ` +
+      `Approvers were only computed for the first ${listedFiles} file(s), so approval can not be granted automatically. ` +
+      `Please split the pull request or review the remaining files manually.`;
+  }
+
+  /**
+   * Generate the body of the status comment with the approvers, per-file approval status and notices
+   * @param {object} settings - Settings of the repository
+   * @param {Map<string, string[]>} fileApproverMap - Map of file paths to arrays of approvers
+   * @param {Map<string, string[]>} fileTeamApproverMap - Map of file paths to arrays of team approvers
+   * @param {Map<string, object[]>} fileRequirementMap - Map of file paths to the requirements of the matched patterns
+   * @param {Set<string>} satisfiedFiles - Set of files that have adequate approval
+   * @param {Map<string, string[]>} blockedFiles - Map of blocked file paths to the reviewers who requested changes
+   * @param {string[]} notices - Messages about the latest event, e.g. review requests or dismissals
+   * @param {Array} [approverSummary] - Summary of approvers, only passed once all approval criteria are met
+   * @returns {string} - Formatted comment body
+   */
+  function generateStatusComment(settings, fileApproverMap, fileTeamApproverMap, fileRequirementMap, satisfiedFiles, blockedFiles, notices, approverSummary) {
+    // The matched patterns of each file are only listed on request, they make the comment much longer
+    const detailed = settings['comment-verbosity'] === 'detailed';
+    let commentBody = generateApproversComment(fileApproverMap, fileTeamApproverMap, satisfiedFiles, blockedFiles, detailed ? fileRequirementMap : null);
+
+    notices.filter(Boolean).forEach(notice => {
+      commentBody += `\n${notice}\n`;
+    });
+
+    if (approverSummary) {
+      commentBody += `\n${generateFinalApprovalComment(approverSummary, satisfiedFiles)}\n`;
+    }
+
+    return commentBody;
+  }
+
+  /**
+   * Check whether a comment was written by this app through its installation, and not by a user or another app
+   * @param {object} comment - Issue comment as listed by the API
+   * @returns {boolean} - True for comments of the app
+   */
+  function isAppComment(comment) {
+    const author = comment.performed_via_github_app;
+    return Boolean(comment.user && comment.user.type === 'Bot' && author &&
+      (!process.env.APP_ID || String(author.id) === process.env.APP_ID));
+  }
+
+  /**
+   * Create the status comment of a pull request, or update it in place when it already exists
+   * @param {object} context - Probot context object
+   * @param {object} pull_request - Pull request object
+   * @param {string} body - Comment body, the hidden marker is added automatically
+   * @returns {Promise<void>}
+   */
+  async function updateStatusComment(context, pull_request, body) {
+    const owner = context.payload.repository.owner.login;
+    const repo = context.payload.repository.name;
+    const markedBody = `${STATUS_COMMENT_MARKER}\n${body}`;
+
+    const comments = await context.octokit.paginate(context.octokit.issues.listComments, {
+      owner,
+      repo,
+      issue_number: pull_request.number,
+      per_page: 100
+    });
+    // Anyone can post a comment starting with the marker, only the comment of the app itself is updated
+    const statusComment = comments.find(comment => isAppComment(comment) && comment.body && comment.body.startsWith(STATUS_COMMENT_MARKER));
+
+    if (statusComment) {
+      await context.octokit.issues.updateComment({
+        owner,
+        repo,
+        comment_id: statusComment.id,
+        body: markedBody
+      });
+    } else {
+      await context.octokit.issues.createComment({
+        owner,
+        repo,
+        issue_number: pull_request.number,
+        body: markedBody
+      });
+    }
+  }
+
+  /**
+   * Generate a markdown table with the approval status of each file
+   * @param {Map<string, string[]>} fileApproverMap - Map of file paths to arrays of approvers
+   * @param {Map<string, string[]>} fileTeamApproverMap - Map of file paths to arrays of team approvers
+   * @param {Set<string>} satisfiedFiles - Set of files that have adequate approval
+   * @param {Map<string, string[]>} [blockedFiles] - Map of blocked file paths to the reviewers who requested changes
+   * @returns {string} - Formatted markdown table
+   */
+  function generateFileStatusTable(fileApproverMap, fileTeamApproverMap, satisfiedFiles, blockedFiles = new Map()) {
+    const escapeCell = (value) => value.replace(/\|/g, '\\|');
+
+    let table = "| File | Individual approvers | Team approvers | Status |\n";
+    table += "|------|----------------------|----------------|--------|\n";
+
+    for (const [filePath, approvers] of fileApproverMap) {
+      const teamApprovers = fileTeamApproverMap.get(filePath) || [];
+
+      let status;
+      if (approvers.length === 0 && teamApprovers.length === 0) {
+        status = "➖ No approvers";
+      } else if (blockedFiles.has(filePath)) {
+        status = `⛔ Changes requested by ${blockedFiles.get(filePath).map(reviewer => `@${reviewer}`).join(", ")}`;
+      } else if (satisfiedFiles.has(filePath)) {
+        status = "✅ Approved";
+      } else {
+        status = "⏳ Pending";
+      }
+
+      table += `| \`${escapeCell(filePath)}\` | ${approvers.join(", ") || "-"} | ${teamApprovers.join(", ") || "-"} | ${status} |\n`;
+    }
+
+    return table;
+  }
+
+  /**
+   * Build the output of the check run from the current approval status
+   * @param {Map<string, string[]>} fileApproverMap - Map of file paths to arrays of approvers
+   * @param {Map<string, string[]>} fileTeamApproverMap - Map of file paths to arrays of team approvers
+   * @param {Set<string>} satisfiedFiles - Set of files that have adequate approval
+   * @param {Map<string, string[]>} blockedFiles - Map of blocked file paths to the reviewers who requested changes
+   * @param {boolean} truncated - Whether the pull request has more files than the API could list
+   * @returns {{title: string, summary: string, text: string}} - Check run output
+   */
+  function generateCheckRunOutput(fileApproverMap, fileTeamApproverMap, satisfiedFiles, blockedFiles, truncated) {
+    let requiredFiles = 0;
+    for (const [filePath, approvers] of fileApproverMap) {
+      const teamApprovers = fileTeamApproverMap.get(filePath) || [];
+      if (approvers.length > 0 || teamApprovers.length > 0) {
+        requiredFiles++;
+      }
+    }
+
+    const title = requiredFiles > 0 ? `${satisfiedFiles.size} of ${requiredFiles} file(s) approved` : "No file requires approval";
+    let summary = requiredFiles > 0
+      ? `${satisfiedFiles.size} of ${requiredFiles} file(s) requiring approval have adequate approval.`
+      : "No pattern with owners matches the files of this pull request.";
+    if (blockedFiles.size > 0) {
+      const blockers = new Set(Array.from(blockedFiles.values()).flat());
+      summary += `\n\n⛔ ${blockedFiles.size} file(s) blocked by changes requested by ${Array.from(blockers).map(reviewer => `@${reviewer}`).join(", ")}.`;
+    }
+    if (truncated) {
+      summary += `\n\n${generateTruncationWarning(fileApproverMap.size)}`;
+    }
+
+    let text = generateFileStatusTable(fileApproverMap, fileTeamApproverMap, satisfiedFiles, blockedFiles);
+    if (text.length > CHECK_RUN_OUTPUT_LIMIT) {
+      const notice = "\n_Table truncated, too many files to display._\n";
+      text = text.slice(0, CHECK_RUN_OUTPUT_LIMIT - notice.length);
+      text = text.slice(0, text.lastIndexOf("\n") + 1) + notice;
+    }
+
+    return { title, summary, text };
+  }
+
+  /**
+   * Create or update a check run on the head commit of a pull request
+   * @param {object} context - Probot context object
+   * @param {object} pull_request - Pull request object
+   * @param {object} checkRun - Check run fields to set (status, conclusion, output)
+   * @param {string} [checkRunName] - Name of the check run, defaults to the approval progress check run
+   * @returns {Promise<void>}
+   */
+  async function publishCheckRun(context, pull_request, checkRun, checkRunName = CHECK_RUN_NAME) {
+    try {
+      const owner = context.payload.repository.owner.login;
+      const repo = context.payload.repository.name;
+      const headSha = pull_request.head.sha;
+
+      // Reuse the check run already created for this commit, if any
+      const existing = await context.octokit.checks.listForRef({
+        owner,
+        repo,
+        ref: headSha,
+        check_name: checkRunName
+      });
+
+      if (existing.data.check_runs.length > 0) {
+        await context.octokit.checks.update({
+          owner,
+          repo,
+          check_run_id: existing.data.check_runs[0].id,
+          ...checkRun
+        });
+      } else {
+        await context.octokit.checks.create({
+          owner,
+          repo,
+          name: checkRunName,
+          head_sha: headSha,
+          ...checkRun
+        });
+      }
+    } catch (error) {
+      console.error('Failed to publish check run:', error.message);
+    }
+  }
+
+  /**
+   * Check that the users and teams listed in an approvers config exist
+   * @param {object} context - Probot context object
+   * @param {object} config - Parsed approvers config
+   * @param {string} content - YAML source of the config
+   * @param {Map<string, Promise<boolean>>} existenceCache - Lookups already made during this event
+   * @returns {Promise<Array<{line: number, level: string, message: string}>>} - Problems found
+   */
+  async function lintConfigOwners(context, config, content, existenceCache) {
+    const problems = [];
+    const org = context.payload.repository.owner.login;
+
+    const entries = (config.patterns || []).map((entry, index) => ({ entry, path: ['patterns', index] }));
+    if (config.fallback) {
+      entries.push({ entry: config.fallback, path: ['fallback'] });
+    }
+
+    const exists = (key, lookup) => {
+      if (!existenceCache.has(key)) {
+        existenceCache.set(key, lookup().then(() => true, (error) => {
+          if (error.status === 404) {
+            return false;
+          }
+          // Do not report owners that could not be looked up for another reason
+          console.error(`Failed to look up ${key}:`, error.message);
+          return true;
+        }));
+      }
+      return existenceCache.get(key);
+    };
+
+    for (const { entry, path } of entries) {
+      for (const key of ['owners', 'team-owners']) {
+        const value = entry[key];
+        const owners = toList(value).map((owner, index) => ({
+          owner,
+          ownerPath: Array.isArray(value) ? [...path, key, index] : [...path, key]
+        }));
+
+        for (const { owner, ownerPath } of owners) {
+          const found = key === 'owners'
+            ? await exists(`user:${owner}`, () => context.octokit.users.getByUsername({ username: owner }))
+            : await exists(`team:${owner}`, () => context.octokit.teams.getByName({ org, team_slug: owner }));
+
+          if (!found) {
+            problems.push({
+              line: findConfigLine(content, ownerPath),
+              level: 'failure',
+              message: key === 'owners' ? `Unknown user \`${owner}\`` : `Unknown team \`${owner}\` in organization \`${org}\``
+            });
+          }
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Find patterns of an approvers config that match no file in the repository, or whose files
+   * are all claimed by an earlier exclusive pattern so that the pattern never applies
+   * @param {object} config - Parsed approvers config
+   * @param {string} content - YAML source of the config
+   * @param {string[]} repoFiles - Paths of every file in the repository
+   * @returns {Array<{line: number, level: string, message: string}>} - Problems found
+   */
+  function lintConfigPatterns(config, content, repoFiles) {
+    const problems = [];
+    const patterns = config.patterns || [];
+
+    patterns.forEach((patternConfig, index) => {
+      const matchedFiles = repoFiles.filter(filePath => matchesPattern(filePath, patternConfig, getPatternSyntax(config, patternConfig)));
+      const line = findConfigLine(content, ['patterns', index, 'pattern']);
+
+      if (matchedFiles.length === 0) {
+        problems.push({ line, level: 'warning', message: `Pattern \`${patternConfig.pattern}\` does not match any file in the repository` });
+        return;
+      }
+
+      const shadowedBy = (filePath) => patterns
+        .slice(0, index)
+        .findIndex(earlier => earlier.exclusive && matchesPattern(filePath, earlier, getPatternSyntax(config, earlier)));
+
+      if (matchedFiles.every(filePath => shadowedBy(filePath) !== -1)) {
+        const earlierIndexes = Array.from(new Set(matchedFiles.map(shadowedBy))).sort((a, b) => a - b);
+        const earlierPatterns = earlierIndexes.map(earlier => `\`${patterns[earlier].pattern}\``).join(', ');
+        problems.push({ line, level: 'warning', message: `Pattern \`${patternConfig.pattern}\` never applies, every file it matches is claimed by the earlier exclusive pattern(s) ${earlierPatterns}` });
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Lint the approvers configs changed in a pull request, read from its head commit, and report the problems in a check run
+   * @param {object} context - Probot context object
+   * @param {object} pull_request - Pull request object
+   * @returns {Promise<void>}
+   */
+  async function lintChangedApproversConfigs(context, pull_request) {
+    const settings = await loadSettings(context);
+
+    // Configs in the repository are not used when they are read from a central repository
+    if (!settings['config-path'] || process.env.CENTRAL_CONFIG_REPO) {
+      return;
+    }
+
+    const { files } = await listPullRequestFiles(context, pull_request);
+    const configFiles = files.filter(file =>
+      file.status !== 'removed' &&
+      file.filename.startsWith(`${settings['config-path']}/`) &&
+      file.filename.endsWith(`${settings['team-suffix']}.yaml`)
+    );
+
+    if (configFiles.length === 0) {
+      return;
+    }
+
+    console.log(`Linting approvers configs changed in PR #${pull_request.number}: ${configFiles.map(file => file.filename).join(', ')}`);
+
+    const owner = context.payload.repository.owner.login;
+    const repo = context.payload.repository.name;
+    const headSha = pull_request.head.sha;
+
+    // The repository tree is only needed once the configs are known to be valid
+    let repoFiles;
+    const getRepoFiles = async () => {
+      if (repoFiles === undefined) {
+        const tree = await context.octokit.git.getTree({ owner, repo, tree_sha: headSha, recursive: 'true' });
+        // A truncated tree can not tell that a pattern matches nothing
+        repoFiles = tree.data.truncated ? null : tree.data.tree.filter(item => item.type === 'blob').map(item => item.path);
+      }
+      return repoFiles;
+    };
+
+    const existenceCache = new Map();
+    const annotations = [];
+
+    for (const file of configFiles) {
+      let problems;
+      try {
+        const response = await context.octokit.repos.getContent({ owner, repo, path: file.filename, ref: headSha });
+        const content = Buffer.from(response.data.content, 'base64').toString('utf8');
+        const { config, errors } = parseApproversConfig(content);
+
+        if (!config) {
+          problems = errors.map(error => ({ ...error, level: 'failure' }));
+        } else {
+          problems = await lintConfigOwners(context, config, content, existenceCache);
+          const treeFiles = await getRepoFiles();
+          if (treeFiles) {
+            problems.push(...lintConfigPatterns(config, content, treeFiles));
+          }
+        }
+      } catch (error) {
+        console.error(`Failed to lint config file ${file.filename}:`, error.message);
+        problems = [{ line: 1, level: 'failure', message: `Could not be linted: ${error.message}` }];
+      }
+
+      problems.forEach(problem => annotations.push({
+        path: file.filename,
+        start_line: problem.line,
+        end_line: problem.line,
+        annotation_level: problem.level,
+        message: problem.message
+      }));
+    }
+
+    const failures = annotations.filter(annotation => annotation.annotation_level === 'failure').length;
+    const warnings = annotations.length - failures;
+
+    let conclusion = 'success';
+    if (failures > 0) {
+      conclusion = 'failure';
+    } else if (warnings > 0) {
+      conclusion = 'neutral';
+    }
+
+    let summary = `Linted ${configFiles.length} approvers config file(s): ${failures} error(s), ${warnings} warning(s).\n\n`;
+    annotations.forEach(annotation => {
+      summary += `- \`${annotation.path}\` line ${annotation.start_line}: ${annotation.message}\n`;
+    });
+
+    await publishCheckRun(context, pull_request, {
+      status: 'completed',
+      conclusion,
+      output: {
+        title: failures + warnings > 0 ? `${failures} error(s), ${warnings} warning(s) in approvers configs` : 'Approvers configs look good',
+        summary: summary.slice(0, CHECK_RUN_OUTPUT_LIMIT),
+        annotations: annotations.slice(0, MAX_CHECK_RUN_ANNOTATIONS)
+      }
+    }, CONFIG_LINT_CHECK_RUN_NAME);
+  }
+
+  /**
+   * Describe the owners of a requirement and how they must approve
+   * @param {object} requirement - Requirement built from a pattern or fallback entry
+   * @returns {string} - One line description
+   */
+  function describeRequirement(requirement) {
+    const owners = [];
+    if (requirement.owners.length > 0) {
+      owners.push(`Individual: ${requirement.owners.join(", ")}`);
+    }
+    if (requirement.teamOwners.length > 0) {
+      owners.push(`Teams: ${requirement.teamOwners.join(", ")}`);
+    }
+
+    let description = `${owners.join(" | ")} (${requirement.mode === 'any' ? 'any of them' : 'all of them'}, ${requirement.minApprovals} approval(s)`;
+    if (requirement.minApprovalsPerTeam > 1) {
+      description += `, ${requirement.minApprovalsPerTeam} per team`;
+    }
+    if (requirement.blockOnChangesRequested) {
+      description += ", blocked by change requests";
+    }
+    return `${description})`;
+  }
+
+  /**
+   * Generate the reply to `/codeowners explain <path>`, listing the requirements of a file and its approval status
+   * @param {string} filePath - Path of the file to explain
+   * @param {object[]} approversConfigs - Approvers configuration objects, one per -approvers team
+   * @param {string[]} configPaths - Paths the configs were read from
+   * @param {Map<string, object[]>} fileRequirementMap - Map of the pull request file paths to the requirements of the matched patterns
+   * @param {{satisfiedFiles: Set<string>, blockedFiles: Map<string, string[]>}} approvalStatus - Current approval status
+   * @param {boolean} useFallback - Whether the fallback owners of the configs are used
+   * @returns {string} - Formatted comment body
+   */
+  function generateExplanation(filePath, approversConfigs, configPaths, fileRequirementMap, approvalStatus, useFallback) {
+    let commentBody = `### 🔍 Approvers of \`${filePath}\`\n\n`;
+
+    const inPullRequest = fileRequirementMap.has(filePath);
+    const requirements = inPullRequest
+      ? fileRequirementMap.get(filePath)
+      : mapFileApprovers([filePath], approversConfigs, configPaths, { useFallback }).fileRequirementMap.get(filePath);
+    const ownedRequirements = requirements.filter(requirement => requirement.owners.length > 0 || requirement.teamOwners.length > 0);
+
+    if (!inPullRequest) {
+      commentBody += "This file is not changed in this pull request, these approvers would be required if it was.\n\n";
+    }
+
+    if (ownedRequirements.length === 0) {
+      commentBody += "No pattern of the approvers configuration matches this file, so it needs no specific approval.\n";
+      return commentBody;
+    }
+
+    commentBody += "Every one of these requirements must be met:\n";
+    ownedRequirements.forEach(requirement => {
+      commentBody += `- ${describeRequirement(requirement)}, from ${describeRequirementSource(requirement)}\n`;
+    });
+
+    if (inPullRequest) {
+      let status = "⏳ Pending";
+      if (approvalStatus.blockedFiles.has(filePath)) {
+        status = `⛔ Changes requested by ${approvalStatus.blockedFiles.get(filePath).map(reviewer => `@${reviewer}`).join(", ")}`;
+      } else if (approvalStatus.satisfiedFiles.has(filePath)) {
+        status = "✅ Approved";
+      }
+      commentBody += `\n**Status:** ${status}\n`;
+    }
+
+    return commentBody;
+  }
+
+  /**
+   * Restrict the approvers of each file that is not approved yet to the owners who have not approved
+   * @param {Map<string, string[]>} fileApproverMap - Map of file paths to arrays of approvers
+   * @param {Map<string, string[]>} fileTeamApproverMap - Map of file paths to arrays of team approvers
+   * @param {{satisfiedFiles: Set<string>, approverSummary: Array}} approvalStatus - Current approval status
+   * @returns {{pendingApproverMap: Map<string, string[]>, pendingTeamApproverMap: Map<string, string[]>}} - Approvers still needed per file
+   */
+  function findPendingApprovers(fileApproverMap, fileTeamApproverMap, approvalStatus) {
+    const approvedIndividuals = new Set();
+    const approvedTeams = new Set();
+    approvalStatus.approverSummary.forEach(summary => {
+      if (summary.satisfiedAsIndividual) {
+        approvedIndividuals.add(summary.reviewer);
+      }
+      summary.satisfiedAsTeamMember.forEach(team => approvedTeams.add(team));
+    });
+
+    const pendingApproverMap = new Map();
+    const pendingTeamApproverMap = new Map();
+    for (const [filePath, approvers] of fileApproverMap) {
+      if (approvalStatus.satisfiedFiles.has(filePath)) {
+        continue;
+      }
+
+      const teamApprovers = fileTeamApproverMap.get(filePath) || [];
+      pendingApproverMap.set(filePath, approvers.filter(approver => !approvedIndividuals.has(approver)));
+      pendingTeamApproverMap.set(filePath, teamApprovers.filter(team => !approvedTeams.has(team)));
+    }
+
+    return { pendingApproverMap, pendingTeamApproverMap };
+  }
+
+  /**
+   * Regenerate the CODEOWNERS routing of the -approvers teams from the approvers configs of the default branch,
+   * and open a pull request, or update the open one, when the CODEOWNERS file is out of sync
+   * @param {object} context - Probot context object of a push to the default branch
+   * @param {object} settings - Settings of the repository
+   * @returns {Promise<void>}
+   */
+  async function syncCodeowners(context, settings) {
+    const { owner, repo } = context.repo();
+    const defaultBranch = context.payload.repository.default_branch;
+
+    let configFiles;
+    try {
+      const { data } = await context.octokit.repos.getContent({ owner, repo, path: settings['config-path'], ref: defaultBranch });
+      configFiles = data.filter(file => file.type === 'file' && file.name.endsWith(`${settings['team-suffix']}.yaml`));
+    } catch (error) {
+      console.error(`Failed to list the approvers configs in ${settings['config-path']}:`, error.message);
+      return;
+    }
+
+    const teamConfigs = [];
+    for (const file of configFiles) {
+      const { config } = await readApproversConfig(file.path, context, defaultBranch);
+
+      // A broken config would drop the routing of its team
+      if (!config) {
+        console.error(`Not syncing CODEOWNERS of ${owner}/${repo}, ${file.path} can not be read`);
+        return;
+      }
+      teamConfigs.push({ teamName: file.name.slice(0, -'.yaml'.length), config });
+    }
+
+    // Keep the CODEOWNERS file where it is, or create it in .github/
+    let codeownersPath = CODEOWNERS_PATHS[0];
+    let codeownersContent = null;
+    for (const candidate of CODEOWNERS_PATHS) {
+      const content = await readConfigContent({ repository: null, path: candidate }, context, defaultBranch);
+      if (content !== null) {
+        codeownersPath = candidate;
+        codeownersContent = content;
+        break;
+      }
+    }
+
+    const updatedContent = updateCodeowners(codeownersContent, generateCodeownersBlock(owner, teamConfigs));
+    if (updatedContent === codeownersContent) {
+      return;
+    }
+
+    console.log(`CODEOWNERS of ${owner}/${repo} is out of sync with the approvers configs`);
+
+    try {
+      // Start the branch again from the pushed commit, so the pull request only holds the latest generated file
+      try {
+        await context.octokit.git.createRef({ owner, repo, ref: `refs/heads/${CODEOWNERS_SYNC_BRANCH}`, sha: context.payload.after });
+      } catch (error) {
+        if (error.status !== 422) {
+          throw error;
+        }
+        await context.octokit.git.updateRef({ owner, repo, ref: `heads/${CODEOWNERS_SYNC_BRANCH}`, sha: context.payload.after, force: true });
+      }
+
+      let fileSha;
+      if (codeownersContent !== null) {
+        const { data } = await context.octokit.repos.getContent({ owner, repo, path: codeownersPath, ref: CODEOWNERS_SYNC_BRANCH });
+        fileSha = data.sha;
+      }
+
+      await context.octokit.repos.createOrUpdateFileContents({
+        owner,
+        repo,
+        path: codeownersPath,
+        branch: CODEOWNERS_SYNC_BRANCH,
+        message: 'Update CODEOWNERS from the approvers configs',
+        content: Buffer.from(updatedContent).toString('base64'),
+        ...(fileSha ? { sha: fileSha } : {})
+      });
+
+      const { data: pullRequests } = await context.octokit.pulls.list({
+        owner,
+        repo,
+        head: `${owner}:${CODEOWNERS_SYNC_BRANCH}`,
+        state: 'open'
+      });
+
+      if (pullRequests.length === 0) {
+        await context.octokit.pulls.create({
+          owner,
+          repo,
+          head: CODEOWNERS_SYNC_BRANCH,
+          base: defaultBranch,
+          title: 'Update CODEOWNERS from the approvers configs',
+          body: `The routing of the \`${settings['team-suffix']}\` teams in \`${codeownersPath}\` no longer matches the approvers configs in \`${settings['config-path']}\`. This pull request regenerates it, the lines outside of the generated block are left untouched.`
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to open a pull request syncing CODEOWNERS of ${owner}/${repo}:`, error.message);
+    }
+  }
+
   app.on("pull_request.review_requested", async (context) => {
     const { pull_request, requested_team } = context.payload;
+    const settings = await loadSettings(context);
     
-    // Check if the requested team ends with -approvers
-    if (requested_team && requested_team.name.endsWith('-approvers')) {
+    // Check if the requested team ends with -approvers, or the team suffix of the settings
+    if (requested_team && requested_team.name.endsWith(settings['team-suffix'])) {
       console.log(`Team ${requested_team.name} was requested as reviewer for PR #${pull_request.number}`);
 
-      // Read the approvers configuration file from process.env.CONFIG_PATH/${requested_team.name}.yaml
-      const configPath = `${process.env.CONFIG_PATH}/${requested_team.name}.yaml`;
-      const approversConfig = await readApproversConfig(configPath, context);
+      // Every -approvers team ever requested on the PR is evaluated together, so the results stay consistent
+      const teamNames = await getRequestedApproverTeamNames(context, pull_request, requested_team);
 
-      // if approversConfig is null, post comment to the PR saying the configPath was not found
-      if (!approversConfig) {
-        console.log(`No approvers config found at ${configPath}`);
-        return context.octokit.issues.createComment({
-          owner: context.payload.repository.owner.login,
-          repo: context.payload.repository.name,
-          issue_number: pull_request.number,
-          body: `No approvers configuration found at \`${configPath}\`. Please check the file path and try again.`
-        });
-      }      // Comment on the PR
-      await context.octokit.issues.createComment({
-        owner: context.payload.repository.owner.login,
-        repo: context.payload.repository.name,
-        issue_number: pull_request.number,
-        body: "Finding appropriate reviewers for this PR..."
-      });
+      // Read the approvers configuration files from <config path>/<team name>.yaml, or the central config repository
+      const { approversConfigs, configPaths, missingConfigPaths, invalidConfigs } = await readApproversConfigs(teamNames, context, pull_request);
+
+      // if any config is missing, report in the status comment that the config path was not found
+      if (missingConfigPaths.length > 0) {
+        console.log(`No approvers config found at ${missingConfigPaths.join(', ')}`);
+        return updateStatusComment(context, pull_request,
+          `No approvers configuration found at ${missingConfigPaths.map(configPath => `\`${configPath}\``).join(', ')}. Please check the file path and try again.`);
+      }
+
+      // if any config is invalid, report its errors instead of guessing the approvers
+      if (invalidConfigs.length > 0) {
+        await publishInvalidConfigCheckRun(context, pull_request, invalidConfigs);
+        return updateStatusComment(context, pull_request, generateInvalidConfigComment(invalidConfigs));
+      }
 
       // Find approvers for the files in the PR
-      const { fileApproverMap, fileTeamApproverMap } = await findApprovers(context, pull_request, approversConfig);
-      
-      // Generate detailed comment with file approvers
-      const commentBody = generateApproversComment(fileApproverMap, fileTeamApproverMap);
-      
-      // Post the detailed comment
-      await context.octokit.issues.createComment({
-        owner: context.payload.repository.owner.login,
-        repo: context.payload.repository.name,
-        issue_number: pull_request.number,
-        body: commentBody
-      });
+      const { fileApproverMap, fileTeamApproverMap, fileRequirementMap, truncated } = await findApprovers(context, pull_request, approversConfigs, configPaths);
+
+      // Approvals given before this request still count towards the status
+      const approvalStatus = await checkAllApprovalCriteriaMet(context, pull_request, fileApproverMap, fileTeamApproverMap, fileRequirementMap);
 
       // Request reviews from all approvers
-      await requestReviewsFromApprovers(context, pull_request, fileApproverMap, fileTeamApproverMap);
+      const reviewRequestMessage = await requestReviewsFromApprovers(context, pull_request, fileApproverMap, fileTeamApproverMap);
 
-      }
+      // Warn that owners of the files the API could not list are unknown
+      const notices = [truncated && generateTruncationWarning(fileApproverMap.size), reviewRequestMessage];
+
+      await updateStatusComment(context, pull_request,
+        generateStatusComment(settings, fileApproverMap, fileTeamApproverMap, fileRequirementMap, approvalStatus.satisfiedFiles, approvalStatus.blockedFiles, notices));
+
+      // Report the approval progress in the check run, approvals given before the request may already meet every criterion.
+      // Files the API could not list may have owners that never approved.
+      await publishCheckRun(context, pull_request, {
+        status: 'completed',
+        conclusion: approvalStatus.allCriteriaMet && !truncated ? 'success' : 'failure',
+        output: generateCheckRunOutput(fileApproverMap, fileTeamApproverMap, approvalStatus.satisfiedFiles, approvalStatus.blockedFiles, truncated)
+      });
+    }
   });
 
-  app.on("pull_request_review.submitted", async (context) => {
-    const { pull_request, review } = context.payload;
+  app.on(["pull_request_review.submitted", "pull_request_review.dismissed"], async (context) => {
+    const { action, pull_request, review } = context.payload;
     
-    // Only process approved reviews
-    if (review.state !== 'approved') {
+    // Approvals can complete the requirements, change requests and dismissed reviews can block or reopen them.
+    // Comment-only reviews change nothing.
+    const approved = action === 'submitted' && review.state === 'approved';
+    if (action === 'submitted' && !approved && review.state !== 'changes_requested') {
       return;
     }
 
-    console.log(`Review approved by ${review.user.login} for PR #${pull_request.number}`);
+    console.log(`Review ${action === 'dismissed' ? 'dismissed' : review.state} by ${review.user.login} for PR #${pull_request.number}`);
 
-    // Find the requested team that ends with -approvers
-    const requestedTeams = pull_request.requested_teams || [];
-    const approverTeam = requestedTeams.find(team => team.name.endsWith('-approvers'));
+    // Find every team ending with -approvers that was requested, including teams GitHub dropped from requested_teams
+    const settings = await loadSettings(context);
+    const teamNames = await getRequestedApproverTeamNames(context, pull_request);
     
-    if (!approverTeam) {
-      console.log(`No approver team found in requested_teams for PR #${pull_request.number}`);
+    if (teamNames.length === 0) {
+      console.log(`No approver team was requested for PR #${pull_request.number}`);
       return;
     }
 
-    console.log(`Found approver team: ${approverTeam.name}`);
+    console.log(`Found approver teams: ${teamNames.join(', ')}`);
 
-    // Load the config file for this specific team
-    const configPath = `${process.env.CONFIG_PATH}/${approverTeam.name}.yaml`;
-    const approversConfig = await readApproversConfig(configPath, context);
+    // Load the config file of each team, the PR is only approved once all of them are satisfied
+    const { approversConfigs, configPaths, missingConfigPaths, invalidConfigs } = await readApproversConfigs(teamNames, context, pull_request);
     
-    if (!approversConfig) {
-      console.log(`No approvers config found at ${configPath}`);
+    if (missingConfigPaths.length > 0) {
+      console.log(`No approvers config found at ${missingConfigPaths.join(', ')}`);
       return;
     }
 
+    if (invalidConfigs.length > 0) {
+      return publishInvalidConfigCheckRun(context, pull_request, invalidConfigs);
+    }
+
     // Find approvers for the files in the PR
-    const { fileApproverMap, fileTeamApproverMap } = await findApprovers(context, pull_request, approversConfig);
+    const { fileApproverMap, fileTeamApproverMap, fileRequirementMap, truncated } = await findApprovers(context, pull_request, approversConfigs, configPaths);
     
-    // Check if this reviewer satisfies any requirements
+    // Reviews of someone who owns none of the files can neither approve nor block them.
+    // A dismissed review may have been the approval or change request of any owner, so it is always evaluated.
     const satisfaction = await checkReviewerSatisfaction(context, review.user.login, fileApproverMap, fileTeamApproverMap);
     
-    if (satisfaction.satisfiedFiles.length === 0) {
+    if (action === 'submitted' && satisfaction.satisfiedFiles.length === 0) {
       console.log(`Review by ${review.user.login} does not satisfy any approver requirements`);
       return;
     }
     
-    // Generate comment about what this approval satisfies
-    let commentBody = `## ✅ Review Approval Received\n\n`;
-    commentBody += `**Reviewer:** @${review.user.login}\n`;
-    commentBody += `**Review requests satisfied by this approval:**\n`;
-    
-    if (satisfaction.satisfiedAsIndividual) {
-      commentBody += `- ✅ Individual owner: @${review.user.login}\n`;
-    }
-    
-    if (satisfaction.satisfiedAsTeamMember.length > 0) {
+    const notices = [];
+    if (approved) {
+      // Describe what this approval satisfies
+      const satisfiedRequests = [];
+      if (satisfaction.satisfiedAsIndividual) {
+        satisfiedRequests.push(`individual owner @${review.user.login}`);
+      }
       satisfaction.satisfiedAsTeamMember.forEach(team => {
-        commentBody += `- ✅ Team owner: @${team}\n`;
+        satisfiedRequests.push(`team owner @${team}`);
       });
+      notices.push(`✅ Approval from @${review.user.login} satisfies: ${satisfiedRequests.join(', ')}`);
     }
     
-    // Post the comment
-    await context.octokit.issues.createComment({
-      owner: context.payload.repository.owner.login,
-      repo: context.payload.repository.name,
-      issue_number: pull_request.number,
-      body: commentBody
-    });
-    
     // Check if all approval criteria have been met
-    const approvalStatus = await checkAllApprovalCriteriaMet(context, pull_request, fileApproverMap, fileTeamApproverMap);
+    const approvalStatus = await checkAllApprovalCriteriaMet(context, pull_request, fileApproverMap, fileTeamApproverMap, fileRequirementMap);
+
+    // Files the API could not list may have owners that never approved
+    const allCriteriaMet = approvalStatus.allCriteriaMet && !truncated;
+    if (truncated) {
+      notices.push(generateTruncationWarning(fileApproverMap.size));
+    }
+
+    // Report the approval progress in the check run
+    await publishCheckRun(context, pull_request, {
+      status: 'completed',
+      conclusion: allCriteriaMet ? 'success' : 'failure',
+      output: generateCheckRunOutput(fileApproverMap, fileTeamApproverMap, approvalStatus.satisfiedFiles, approvalStatus.blockedFiles, truncated)
+    });
     
-    if (approvalStatus.allCriteriaMet) {
+    if (allCriteriaMet && !approvalStatus.approvalRequired) {
+      console.log(`No file of PR #${pull_request.number} requires approval`);
+    } else if (allCriteriaMet && !settings['auto-approve']) {
+      console.log(`All approval criteria met for PR #${pull_request.number}. Automatic approval is turned off.`);
+    } else if (allCriteriaMet && !approved && await findBotApproval(context, pull_request.number)) {
+      console.log(`All approval criteria are still met for PR #${pull_request.number}`);
+    } else if (allCriteriaMet) {
       console.log(`All approval criteria met for PR #${pull_request.number}. Proceeding with final approval.`);
       
-      // Generate final approval comment
-      const finalCommentBody = generateFinalApprovalComment(approvalStatus.approverSummary, approvalStatus.satisfiedFiles);
-      
-      // Post final approval comment
-      await context.octokit.issues.createComment({
-        owner: context.payload.repository.owner.login,
-        repo: context.payload.repository.name,
-        issue_number: pull_request.number,
-        body: finalCommentBody
-      });
-      
       // Approve the PR using GITHUB_TOKEN
       const approvalSuccess = await approvePullRequest(context, pull_request.number);
       
       if (!approvalSuccess) {
-        // Post error comment if approval failed
-        await context.octokit.issues.createComment({
-          owner: context.payload.repository.owner.login,
-          repo: context.payload.repository.name,
-          issue_number: pull_request.number,
-          body: "⚠️ All approval criteria have been met, but automatic approval failed. Please check the GITHUB_TOKEN configuration."
-        });
+        notices.push("⚠️ All approval criteria have been met, but automatic approval failed. Please check the GITHUB_TOKEN configuration.");
       }
     } else {
       console.log(`Not all approval criteria met yet for PR #${pull_request.number}. ${approvalStatus.satisfiedFiles.size} files satisfied so far.`);
+
+      // A change request or a dismissed approval can undo an earlier final approval
+      if (!approved) {
+        const blockers = new Set(Array.from(approvalStatus.blockedFiles.values()).flat());
+        const reason = blockers.size > 0
+          ? `Changes were requested by ${Array.from(blockers).map(reviewer => `@${reviewer}`).join(', ')}.`
+          : "The remaining approvals no longer meet the requirements.";
+        notices.push(await dismissBotApproval(context, pull_request.number, reason));
+      }
     }
+
+    await updateStatusComment(context, pull_request, generateStatusComment(
+      settings,
+      fileApproverMap,
+      fileTeamApproverMap,
+      fileRequirementMap,
+      approvalStatus.satisfiedFiles,
+      approvalStatus.blockedFiles,
+      notices,
+      allCriteriaMet && approvalStatus.approvalRequired ? approvalStatus.approverSummary : undefined
+    ));
+  });
+
+  app.on(["pull_request.opened", "pull_request.reopened", "pull_request.synchronize"], async (context) => {
+    await lintChangedApproversConfigs(context, context.payload.pull_request);
+  });
+
+  app.on("pull_request.synchronize", async (context) => {
+    const { pull_request, before, after } = context.payload;
+
+    console.log(`New commits pushed to PR #${pull_request.number}`);
+
+    const teamNames = await getRequestedApproverTeamNames(context, pull_request);
+
+    if (teamNames.length === 0) {
+      console.log(`No approver team was requested for PR #${pull_request.number}`);
+      return;
+    }
+
+    const { approversConfigs, configPaths, missingConfigPaths, invalidConfigs } = await readApproversConfigs(teamNames, context, pull_request);
+
+    if (missingConfigPaths.length > 0) {
+      console.log(`No approvers config found at ${missingConfigPaths.join(', ')}`);
+      return;
+    }
+
+    if (invalidConfigs.length > 0) {
+      return publishInvalidConfigCheckRun(context, pull_request, invalidConfigs);
+    }
+
+    // Recompute the approvers against the new file list
+    const { fileApproverMap, fileTeamApproverMap, fileRequirementMap, truncated } = await findApprovers(context, pull_request, approversConfigs, configPaths);
+    const approvalStatus = await checkAllApprovalCriteriaMet(context, pull_request, fileApproverMap, fileTeamApproverMap, fileRequirementMap);
+
+    // Approvals of files changed since the reviewed commit no longer count, see require-approval-on-latest-commit,
+    // so approved files touched by the push need another look from their owners.
+    // When the changed files can not be determined, every outdated file is treated as changed by the push.
+    const changedFiles = await getChangedFilesBetween(context, before, after);
+    const changedApprovedFiles = Array.from(approvalStatus.outdatedFiles)
+      .filter(filePath => !changedFiles || changedFiles.includes(filePath));
+
+    const allCriteriaMet = approvalStatus.allCriteriaMet && !truncated;
+
+    await publishCheckRun(context, pull_request, {
+      status: 'completed',
+      conclusion: allCriteriaMet ? 'success' : 'failure',
+      output: generateCheckRunOutput(fileApproverMap, fileTeamApproverMap, approvalStatus.satisfiedFiles, approvalStatus.blockedFiles, truncated)
+    });
+
+    if (allCriteriaMet) {
+      console.log(`All approval criteria are still met for PR #${pull_request.number}`);
+      return;
+    }
+
+    const notices = [truncated && generateTruncationWarning(fileApproverMap.size)];
+
+    // Dismiss the bot approval, it no longer reflects the required approvals
+    let reason;
+    if (changedApprovedFiles.length > 0) {
+      reason = `New commits changed files that were already approved: ${changedApprovedFiles.map(filePath => `\`${filePath}\``).join(', ')}.`;
+    } else {
+      reason = "New commits require approvals that have not been given yet.";
+    }
+    notices.push(await dismissBotApproval(context, pull_request.number, reason));
+
+    // Re-request reviews for the files touched by the push, from owners of changed approved files
+    // and from owners of newly added or still unapproved files who have not approved yet
+    const approvedIndividuals = new Set();
+    const approvedTeams = new Set();
+    approvalStatus.approverSummary.forEach(summary => {
+      if (summary.satisfiedAsIndividual) {
+        approvedIndividuals.add(summary.reviewer);
+      }
+      summary.satisfiedAsTeamMember.forEach(team => approvedTeams.add(team));
+    });
+
+    const neededApproverMap = new Map();
+    const neededTeamApproverMap = new Map();
+    for (const [filePath, approvers] of fileApproverMap) {
+      if (changedFiles && !changedFiles.includes(filePath)) {
+        continue;
+      }
+
+      const teamApprovers = fileTeamApproverMap.get(filePath) || [];
+
+      if (changedApprovedFiles.includes(filePath)) {
+        neededApproverMap.set(filePath, approvers);
+        neededTeamApproverMap.set(filePath, teamApprovers);
+      } else if (!approvalStatus.satisfiedFiles.has(filePath)) {
+        neededApproverMap.set(filePath, approvers.filter(approver => !approvedIndividuals.has(approver)));
+        neededTeamApproverMap.set(filePath, teamApprovers.filter(team => !approvedTeams.has(team)));
+      }
+    }
+
+    notices.push(await requestReviewsFromApprovers(context, pull_request, neededApproverMap, neededTeamApproverMap));
+
+    await updateStatusComment(context, pull_request,
+      generateStatusComment(await loadSettings(context), fileApproverMap, fileTeamApproverMap, fileRequirementMap, approvalStatus.satisfiedFiles, approvalStatus.blockedFiles, notices));
+  });
+
+  app.on("issue_comment.created", async (context) => {
+    const { issue, comment } = context.payload;
+
+    // Only comments of people on pull requests can hold commands
+    if (!issue.pull_request || comment.user.type === 'Bot') {
+      return;
+    }
+
+    const match = comment.body.match(COMMAND_PATTERN);
+    if (!match) {
+      return;
+    }
+
+    if (!COMMAND_AUTHOR_ASSOCIATIONS.includes(comment.author_association)) {
+      console.log(`Ignoring command of ${comment.user.login} on PR #${issue.number}, who is not a member or collaborator of the repository`);
+      return;
+    }
+
+    const command = match[1];
+    const argument = match[2].trim();
+    const owner = context.payload.repository.owner.login;
+    const repo = context.payload.repository.name;
+
+    console.log(`Command ${command} requested by ${comment.user.login} on PR #${issue.number}`);
+
+    const reply = (body) => context.octokit.issues.createComment({ owner, repo, issue_number: issue.number, body });
+
+    if (!['recompute', 'explain', 'status', 're-request'].includes(command)) {
+      return reply(`⚠️ Unknown command \`${command}\`. Available commands: \`/codeowners recompute\`, \`/codeowners explain <path>\`, \`/codeowners status\`, \`/codeowners re-request\`.`);
+    }
+
+    if (command === 'explain' && !argument) {
+      return reply("⚠️ Usage: `/codeowners explain <path>`");
+    }
+
+    // The comment payload only references the pull request
+    const { data: pull_request } = await context.octokit.pulls.get({ owner, repo, pull_number: issue.number });
+
+    const settings = await loadSettings(context);
+    const teamNames = await getRequestedApproverTeamNames(context, pull_request);
+
+    if (teamNames.length === 0) {
+      return reply(`No \`${settings['team-suffix']}\` team has been requested to review this pull request.`);
+    }
+
+    const { approversConfigs, configPaths, missingConfigPaths, invalidConfigs } = await readApproversConfigs(teamNames, context, pull_request);
+
+    if (missingConfigPaths.length > 0) {
+      return updateStatusComment(context, pull_request,
+        `No approvers configuration found at ${missingConfigPaths.map(configPath => `\`${configPath}\``).join(', ')}. Please check the file path and try again.`);
+    }
+
+    if (invalidConfigs.length > 0) {
+      await publishInvalidConfigCheckRun(context, pull_request, invalidConfigs);
+      return updateStatusComment(context, pull_request, generateInvalidConfigComment(invalidConfigs));
+    }
+
+    const { fileApproverMap, fileTeamApproverMap, fileRequirementMap, truncated } = await findApprovers(context, pull_request, approversConfigs, configPaths);
+    const approvalStatus = await checkAllApprovalCriteriaMet(context, pull_request, fileApproverMap, fileTeamApproverMap, fileRequirementMap);
+    const allCriteriaMet = approvalStatus.allCriteriaMet && !truncated;
+    const notices = [truncated && generateTruncationWarning(fileApproverMap.size)];
+
+    if (command === 'explain') {
+      return reply(generateExplanation(argument, approversConfigs, configPaths, fileRequirementMap, approvalStatus, settings['use-fallback']));
+    }
+
+    if (command === 're-request') {
+      const { pendingApproverMap, pendingTeamApproverMap } = findPendingApprovers(fileApproverMap, fileTeamApproverMap, approvalStatus);
+      notices.push(await requestReviewsFromApprovers(context, pull_request, pendingApproverMap, pendingTeamApproverMap)
+        || "All owners of the files that are not approved yet have already approved.");
+    }
+
+    if (command === 'recompute') {
+      await publishCheckRun(context, pull_request, {
+        status: 'completed',
+        conclusion: allCriteriaMet ? 'success' : 'failure',
+        output: generateCheckRunOutput(fileApproverMap, fileTeamApproverMap, approvalStatus.satisfiedFiles, approvalStatus.blockedFiles, truncated)
+      });
+
+      // Approve unless the bot approval is already in place
+      if (allCriteriaMet && approvalStatus.approvalRequired && settings['auto-approve'] && !(await findBotApproval(context, pull_request.number))) {
+        const approvalSuccess = await approvePullRequest(context, pull_request.number);
+
+        if (!approvalSuccess) {
+          notices.push("⚠️ All approval criteria have been met, but automatic approval failed. Please check the GITHUB_TOKEN configuration.");
+        }
+      }
+    }
+
+    await updateStatusComment(context, pull_request, generateStatusComment(
+      settings,
+      fileApproverMap,
+      fileTeamApproverMap,
+      fileRequirementMap,
+      approvalStatus.satisfiedFiles,
+      approvalStatus.blockedFiles,
+      notices,
+      allCriteriaMet && approvalStatus.approvalRequired ? approvalStatus.approverSummary : undefined
+    ));
+  });
+
+  app.on("push", async (context) => {
+    const { ref, repository, commits } = context.payload;
+
+    if (ref !== `refs/heads/${repository.default_branch}`) {
+      return;
+    }
+
+    const settings = await loadSettings(context);
+    if (!settings['sync-codeowners'] || !settings['config-path'] || process.env.CENTRAL_CONFIG_REPO) {
+      return;
+    }
+
+    // Only pushes changing the configs or CODEOWNERS can bring them out of sync
+    const changedFiles = (commits || []).flatMap(commit => [...commit.added, ...commit.modified, ...commit.removed]);
+    if (!changedFiles.some(file => file.startsWith(`${settings['config-path']}/`) || CODEOWNERS_PATHS.includes(file))) {
+      return;
+    }
+
+    await syncCodeowners(context, settings);
   });
 };
@@ -0,0 +1,793 @@
+// Parsing, validation and matching of approvers configs, shared by the app and the CLI.
+// Nothing in this module calls the GitHub API.
+
+const path = require('path');
+const yaml = require('js-yaml');
+const { minimatch } = require('minimatch');
+
+// Owners and exclude patterns can be a single string or a list of strings
+const STRING_LIST_SCHEMA = { type: ['string', 'array'], items: { type: 'string' } };
+
+// Values of the status of a file in the pull request files API
+const FILE_STATUSES = ['added', 'removed', 'modified', 'renamed', 'copied', 'changed', 'unchanged'];
+
+// Fields shared by patterns and the fallback entry
+const OWNERS_PROPERTIES = {
+  owners: STRING_LIST_SCHEMA,
+  'team-owners': STRING_LIST_SCHEMA,
+  mode: { type: 'string', enum: ['any', 'all'] },
+  'min-approvals': { type: 'integer', minimum: 1 },
+  'min-approvals-per-team': { type: 'integer', minimum: 1 },
+  'block-on-changes-requested': { type: 'boolean' },
+  'require-approval-on-latest-commit': { type: ['boolean', 'string'], enum: [true, false, 'changed-files'] },
+  'on-delete': { type: 'string', enum: ['require', 'ignore'] }
+};
+
+// JSON schema style description of the per-repository settings file
+const SETTINGS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    'config-path': { type: 'string' },
+    'team-suffix': { type: 'string' },
+    'comment-verbosity': { type: 'string', enum: ['summary', 'detailed'] },
+    'auto-approve': { type: 'boolean' },
+    'use-fallback': { type: 'boolean' },
+    'sync-codeowners': { type: 'boolean' }
+  }
+};
+
+// Reference to a config in another repository, e.g. my-org/.github:approvers/security.yaml
+const CROSS_REPO_REFERENCE_PATTERN = /^([\w.-]+\/[\w.-]+):(.+)$/;
+
+// Config file, index and pattern syntax of each pattern and fallback entry, recorded when a config is resolved
+// since merged entries keep those of the config they were read from
+const entryOrigins = new WeakMap();
+
+// JSON schema style description of the approvers config format
+const APPROVERS_CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    extends: STRING_LIST_SCHEMA,
+    include: STRING_LIST_SCHEMA,
+    syntax: { type: 'string', enum: ['glob', 'codeowners'] },
+    'require-approval-on-latest-commit': OWNERS_PROPERTIES['require-approval-on-latest-commit'],
+    patterns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['pattern'],
+        additionalProperties: false,
+        properties: {
+          pattern: { type: 'string' },
+          ...OWNERS_PROPERTIES,
+          exclusive: { type: 'boolean' },
+          exclude: STRING_LIST_SCHEMA,
+          status: { type: ['string', 'array'], enum: FILE_STATUSES, items: { type: 'string', enum: FILE_STATUSES } },
+          'min-changes': { type: 'integer', minimum: 1 },
+          patch: { type: 'string', format: 'regex' }
+        }
+      }
+    },
+    fallback: {
+      type: 'object',
+      additionalProperties: false,
+      properties: OWNERS_PROPERTIES
+    }
+  }
+};
+
+/**
+ * Validate a value against a JSON schema style description
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema supporting type, enum, minimum, format, items, properties, required and additionalProperties
+ * @param {Array<string|number>} [path] - Path of the value in the config
+ * @returns {Array<{path: Array<string|number>, message: string}>} - Validation errors
+ */
+function validateSchema(value, schema, path = []) {
+  const errors = [];
+  const name = formatConfigPath(path);
+
+  let actualType = typeof value;
+  if (Array.isArray(value)) {
+    actualType = 'array';
+  } else if (value === null) {
+    actualType = 'null';
+  } else if (Number.isInteger(value)) {
+    actualType = 'integer';
+  }
+
+  const expectedTypes = toList(schema.type);
+  if (!expectedTypes.some(type => type === actualType || (type === 'number' && actualType === 'integer'))) {
+    errors.push({ path, message: `\`${name}\` must be of type ${expectedTypes.join(' or ')}, got ${actualType}` });
+    return errors;
+  }
+
+  // The enum of a string or list schema applies to the string, the items have their own
+  if (schema.enum && actualType !== 'array' && !schema.enum.includes(value)) {
+    errors.push({ path, message: `\`${name}\` must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `\`${name}\` must be at least ${schema.minimum}` });
+  }
+
+  if (schema.format === 'regex') {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      errors.push({ path, message: `\`${name}\` is not a valid regular expression: ${error.message}` });
+    }
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, [...path, index])));
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path, message: `\`${name}\` is missing required property \`${key}\`` });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties && schema.properties[key]) {
+        errors.push(...validateSchema(item, schema.properties[key], [...path, key]));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: [...path, key], message: `\`${name}\` has unknown property \`${key}\`` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format the path of a value in the config for error messages, e.g. patterns[1].owners
+ * @param {Array<string|number>} path - Path of the value
+ * @returns {string} - Formatted path
+ */
+function formatConfigPath(path) {
+  if (path.length === 0) {
+    return 'config';
+  }
+
+  return path.reduce((name, segment) => {
+    if (typeof segment === 'number') {
+      return `${name}[${segment}]`;
+    }
+    return name ? `${name}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Find the line of a value in the YAML source of a config.
+ * Block style YAML is scanned by indentation, the closest enclosing line is returned for flow style values.
+ * @param {string} content - YAML source
+ * @param {Array<string|number>} path - Path of the value
+ * @returns {number} - 1-based line number
+ */
+function findConfigLine(content, path) {
+  const lines = content.split(/\r?\n/);
+  const isContent = (line) => line.trim() !== '' && !line.trim().startsWith('#');
+  const indentOf = (line) => line.length - line.trimStart().length;
+
+  let start = 0;
+  let end = lines.length;
+  let foundLine = 0;
+
+  for (const segment of path) {
+    // Column at which the children of the current node start
+    const firstChild = lines.slice(start, end).findIndex(isContent);
+    if (firstChild === -1) {
+      break;
+    }
+    const column = indentOf(lines[start + firstChild]);
+
+    let found = -1;
+    if (typeof segment === 'number') {
+      const items = [];
+      for (let i = start; i < end; i++) {
+        if (indentOf(lines[i]) === column && /^\s*-(\s|$)/.test(lines[i])) {
+          items.push(i);
+        }
+      }
+
+      if (segment < items.length) {
+        found = items[segment];
+        end = segment + 1 < items.length ? items[segment + 1] : end;
+        // The first key of a list item is on the same line as the dash
+        lines[found] = lines[found].replace(/-/, ' ');
+        start = found;
+      }
+    } else {
+      const escaped = segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const keyPattern = new RegExp(`^\\s*["']?${escaped}["']?\\s*:`);
+
+      for (let i = start; i < end; i++) {
+        if (indentOf(lines[i]) === column && keyPattern.test(lines[i])) {
+          found = i;
+          break;
+        }
+      }
+
+      if (found !== -1) {
+        // The value ends at the next line that is not indented deeper, list items may share the key's indentation
+        let valueEnd = found + 1;
+        while (valueEnd < end && (!isContent(lines[valueEnd]) || indentOf(lines[valueEnd]) > column ||
+          (indentOf(lines[valueEnd]) === column && /^\s*-(\s|$)/.test(lines[valueEnd])))) {
+          valueEnd++;
+        }
+        start = found + 1;
+        end = valueEnd;
+      }
+    }
+
+    if (found === -1) {
+      break;
+    }
+    foundLine = found;
+  }
+
+  return foundLine + 1;
+}
+
+/**
+ * Parse and validate the YAML source of an approvers config
+ * @param {string} content - YAML source
+ * @returns {{config: object|null, errors: Array<{line: number, message: string}>}} - Parsed config, or null with the errors found
+ */
+function parseApproversConfig(content) {
+  let config;
+  try {
+    config = yaml.load(content);
+  } catch (error) {
+    const line = error.mark ? error.mark.line + 1 : 1;
+    return { config: null, errors: [{ line, message: `Invalid YAML: ${error.reason || error.message}` }] };
+  }
+
+  const errors = validateSchema(config === undefined ? null : config, APPROVERS_CONFIG_SCHEMA)
+    .map(error => ({ line: findConfigLine(content, error.path), message: error.message }));
+
+  return errors.length > 0 ? { config: null, errors } : { config, errors };
+}
+
+/**
+ * Resolve a reference of an `extends` or `include` entry against the config it appears in.
+ * Paths are relative to the directory of that config, or to the repository root when they start with `/`.
+ * @param {{repository: (string|null), path: string}} from - Config containing the reference
+ * @param {string} reference - Referenced path, optionally prefixed with `owner/repo:`
+ * @returns {{repository: (string|null), path: string}} - Referenced config, repository is null for the repository of the pull request
+ */
+function resolveConfigReference(from, reference) {
+  const crossRepo = reference.match(CROSS_REPO_REFERENCE_PATTERN);
+  if (crossRepo) {
+    return { repository: crossRepo[1], path: path.posix.normalize(crossRepo[2]).replace(/^\//, '') };
+  }
+
+  const referencePath = reference.startsWith('/')
+    ? reference.slice(1)
+    : path.posix.join(path.posix.dirname(from.path), reference);
+  return { repository: from.repository, path: path.posix.normalize(referencePath) };
+}
+
+/**
+ * Format a config location for messages, e.g. my-org/.github:approvers/security.yaml
+ * @param {{repository: (string|null), path: string}} location - Config location
+ * @returns {string} - Formatted location
+ */
+function formatConfigLocation(location) {
+  return location.repository ? `${location.repository}:${location.path}` : location.path;
+}
+
+/**
+ * Read an approvers config and merge the configs it extends and includes into it.
+ * Patterns are merged in this order: patterns of the extended configs, patterns of the included configs, then the
+ * config's own patterns, so its own exclusive patterns take precedence. Extended configs also provide the fallback
+ * and config wide options unless the config sets them itself, included configs only provide their patterns.
+ * @param {string} configPath - Path of the config in the repository of the pull request, optionally prefixed with `owner/repo:` to read it from another repository
+ * @param {function({repository: (string|null), path: string}): (string|null|Promise<string|null>)} loadConfigContent - Loads the YAML source of a config, null when it does not exist
+ * @returns {Promise<{config: object|null, invalidConfigs: Array<{configPath: string, external: boolean, errors: Array<{line: number, message: string}>}>}>} - Merged config, or null with the errors of each invalid config, and without errors if not found
+ */
+async function resolveApproversConfig(configPath, loadConfigContent) {
+  const invalidConfigs = [];
+
+  const resolve = async (location, content, chain) => {
+    const configLocation = formatConfigLocation(location);
+    const result = parseApproversConfig(content);
+    if (!result.config) {
+      invalidConfigs.push({ configPath: configLocation, external: Boolean(location.repository), errors: result.errors });
+      return null;
+    }
+
+    const config = result.config;
+    const errors = [];
+    const merged = { patterns: [] };
+    const includedPatterns = [];
+    let referenceInvalid = false;
+
+    for (const key of ['extends', 'include']) {
+      for (const [index, reference] of toList(config[key]).entries()) {
+        const referencePath = Array.isArray(config[key]) ? [key, index] : [key];
+        const referenced = resolveConfigReference(location, reference);
+        const referencedLocation = formatConfigLocation(referenced);
+
+        if (chain.includes(referencedLocation)) {
+          errors.push({
+            line: findConfigLine(content, referencePath),
+            message: `\`${formatConfigPath(referencePath)}\` creates a cycle: ${[...chain, referencedLocation].join(' → ')}`
+          });
+          continue;
+        }
+
+        const referencedContent = await loadConfigContent(referenced);
+        if (referencedContent === null || referencedContent === undefined) {
+          errors.push({
+            line: findConfigLine(content, referencePath),
+            message: `\`${formatConfigPath(referencePath)}\` references \`${referencedLocation}\`, which was not found`
+          });
+          continue;
+        }
+
+        const referencedConfig = await resolve(referenced, referencedContent, [...chain, referencedLocation]);
+        if (!referencedConfig) {
+          referenceInvalid = true;
+          continue;
+        }
+
+        if (key === 'extends') {
+          const { patterns, ...options } = referencedConfig;
+          Object.assign(merged, options);
+          merged.patterns.push(...patterns);
+        } else {
+          includedPatterns.push(...referencedConfig.patterns);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      invalidConfigs.push({ configPath: configLocation, external: Boolean(location.repository), errors });
+      return null;
+    }
+
+    // The errors of an invalid extended or included config are reported on that config
+    if (referenceInvalid) {
+      return null;
+    }
+
+    // Remember where the own entries come from, the merged entries keep the origin of their config
+    const ownPatterns = config.patterns || [];
+    ownPatterns.forEach((patternConfig, patternIndex) => entryOrigins.set(patternConfig, {
+      configPath: configLocation,
+      patternIndex,
+      syntax: config.syntax || 'glob'
+    }));
+    if (config.fallback) {
+      entryOrigins.set(config.fallback, { configPath: configLocation });
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+      if (!['extends', 'include', 'patterns'].includes(key)) {
+        merged[key] = value;
+      }
+    }
+    merged.patterns.push(...includedPatterns, ...ownPatterns);
+    return merged;
+  };
+
+  const crossRepo = configPath.match(CROSS_REPO_REFERENCE_PATTERN);
+  const location = crossRepo ? { repository: crossRepo[1], path: crossRepo[2] } : { repository: null, path: configPath };
+  const content = await loadConfigContent(location);
+  if (content === null || content === undefined) {
+    return { config: null, invalidConfigs };
+  }
+
+  const config = await resolve(location, content, [formatConfigLocation(location)]);
+  return { config, invalidConfigs };
+}
+
+/**
+ * Validate the per-repository settings of the app
+ * @param {object} settings - Parsed settings file
+ * @returns {string[]} - Validation error messages
+ */
+function validateSettings(settings) {
+  return validateSchema(settings, SETTINGS_SCHEMA).map(error => error.message);
+}
+
+/**
+ * Normalize a config value that can be a single string or a list of strings
+ * @param {string|string[]|undefined} value - Config value
+ * @returns {string[]} - List of strings
+ */
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === 'string' ? [value] : [];
+}
+
+/**
+ * Convert a pattern written with the gitignore style rules of GitHub CODEOWNERS to minimatch patterns:
+ * - `*` matches every file
+ * - a pattern without a slash, other than a trailing one, matches at any depth, otherwise it is anchored to the root
+ * - a trailing `/` matches everything in the directory, and a pattern whose last segment has no wildcard also
+ *   matches everything in the directory of that name, while `docs/*` does not match files nested deeper
+ * - braces, character ranges and `!` negation are not supported by CODEOWNERS and match literally
+ * @param {string} pattern - CODEOWNERS pattern
+ * @returns {string[]} - Minimatch patterns, a path matching any of them matches the CODEOWNERS pattern
+ */
+function toCodeownersGlobs(pattern) {
+  if (pattern === '*' || pattern === '**' || pattern === '/**') {
+    return ['**'];
+  }
+
+  const directoryOnly = pattern.endsWith('/');
+  let glob = pattern.replace(/\/+$/, '').replace(/[[\]]/g, '\\$&');
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\//, '');
+
+  if (!anchored) {
+    glob = `**/${glob}`;
+  }
+
+  if (directoryOnly) {
+    return [`${glob}/**`];
+  }
+
+  const lastSegment = glob.split('/').pop();
+  return /[*?]/.test(lastSegment) ? [glob] : [glob, `${glob}/**`];
+}
+
+/**
+ * Check if a file matches a single pattern
+ * @param {string} filePath - Path of the file
+ * @param {string} pattern - Pattern
+ * @param {string} syntax - `glob` for minimatch patterns, `codeowners` for the rules of GitHub CODEOWNERS
+ * @returns {boolean} - Whether the pattern matches the file
+ */
+function matchesGlob(filePath, pattern, syntax) {
+  if (syntax !== 'codeowners') {
+    return minimatch(filePath, pattern);
+  }
+
+  const options = { dot: true, nobrace: true, noext: true, nonegate: true, nocomment: true };
+  return toCodeownersGlobs(pattern).some(glob => minimatch(filePath, glob, options));
+}
+
+/**
+ * Get the syntax of a pattern entry, set by the config file it was read from
+ * @param {object} approversConfig - Config the entry belongs to
+ * @param {object} patternConfig - Pattern entry
+ * @returns {string} - `glob` or `codeowners`
+ */
+function getPatternSyntax(approversConfig, patternConfig) {
+  const origin = entryOrigins.get(patternConfig);
+  return (origin && origin.syntax) || approversConfig.syntax || 'glob';
+}
+
+/**
+ * Check if a file matches a pattern entry of an approvers config and none of its exclude patterns
+ * @param {string} filePath - Path of the file
+ * @param {object} patternConfig - Pattern entry
+ * @param {string} [syntax] - Syntax of the patterns, `glob` or `codeowners`
+ * @returns {boolean} - Whether the pattern applies to the file
+ */
+function matchesPattern(filePath, patternConfig, syntax = 'glob') {
+  if (!matchesGlob(filePath, patternConfig.pattern, syntax)) {
+    return false;
+  }
+
+  return !toList(patternConfig.exclude).some(excludePattern => matchesGlob(filePath, excludePattern, syntax));
+}
+
+/**
+ * Check the conditions of a pattern on the change of a file. A condition that can not be checked, e.g. for a plain path
+ * or a diff too large for GitHub to return its patch, is treated as met so owners are never skipped for lack of data.
+ * @param {object} patternConfig - Pattern entry with optional `status`, `min-changes` and `patch` conditions
+ * @param {object|null} file - File as listed by the pull request files API, null when only the path is known
+ * @returns {boolean} - Whether the pattern applies to the change
+ */
+function meetsConditions(patternConfig, file) {
+  if (!file) {
+    return true;
+  }
+
+  if (patternConfig.status !== undefined && file.status && !toList(patternConfig.status).includes(file.status)) {
+    return false;
+  }
+
+  if (patternConfig['min-changes'] !== undefined && typeof file.changes === 'number' && file.changes < patternConfig['min-changes']) {
+    return false;
+  }
+
+  if (patternConfig.patch !== undefined && typeof file.patch === 'string') {
+    // Only the added and removed lines count, not the hunk headers and context lines
+    const regex = new RegExp(patternConfig.patch);
+    return file.patch.split('\n').some(line => /^[+-]/.test(line) && regex.test(line.slice(1)));
+  }
+
+  return true;
+}
+
+/**
+ * Build the approval requirement of a pattern or fallback entry of an approvers config
+ * @param {object} ownersConfig - Pattern or fallback entry
+ * @param {object} [approversConfig] - Config the entry belongs to, providing the defaults of config wide options
+ * @param {{configPath: string, patternIndex: number, pattern: string, fallback: boolean, previousPath: string}} [source] - Where the entry comes from, used to explain the requirement
+ * @returns {{owners: string[], teamOwners: string[], mode: string, minApprovals: number, minApprovalsPerTeam: number, blockOnChangesRequested: boolean, approvalOnLatestCommit: (boolean|string), source: object}} - Owners, whether any or all of them must approve, minimum number of distinct approvals and which approvals count
+ */
+function buildRequirement(ownersConfig, approversConfig = {}, source = {}) {
+  // By default approvals of older commits count, except for the files changed since
+  let approvalOnLatestCommit = ownersConfig['require-approval-on-latest-commit'];
+  if (approvalOnLatestCommit === undefined) {
+    approvalOnLatestCommit = approversConfig['require-approval-on-latest-commit'];
+  }
+  if (approvalOnLatestCommit === undefined) {
+    approvalOnLatestCommit = 'changed-files';
+  }
+
+  return {
+    owners: toList(ownersConfig.owners),
+    teamOwners: toList(ownersConfig['team-owners']),
+    mode: ownersConfig.mode === 'any' ? 'any' : 'all',
+    minApprovals: ownersConfig['min-approvals'] || 1,
+    minApprovalsPerTeam: ownersConfig['min-approvals-per-team'] || 1,
+    blockOnChangesRequested: ownersConfig['block-on-changes-requested'] === true,
+    approvalOnLatestCommit,
+    source
+  };
+}
+
+/**
+ * Find the requirements of the patterns of one config matching a file path and the conditions on its change
+ * @param {string} filePath - Path to match
+ * @param {object|null} file - File as listed by the pull request files API, null when only the path is known
+ * @param {object} approversConfig - Approvers configuration object
+ * @param {string} [configPath] - Path the config was read from
+ * @param {string} [previousPath] - Set when matching the previous path of a renamed file
+ * @returns {{requirements: object[], ignored: boolean}} - Requirements of the matched patterns, and whether a matched pattern ignores the deleted file
+ */
+function matchConfigPatterns(filePath, file, approversConfig, configPath, previousPath) {
+  let requirements = [];
+  let ignored = false;
+
+  for (const [patternIndex, patternConfig] of (approversConfig.patterns || []).entries()) {
+    if (!matchesPattern(filePath, patternConfig, getPatternSyntax(approversConfig, patternConfig)) || !meetsConditions(patternConfig, file)) {
+      continue;
+    }
+
+    // A pattern ignoring deletions still claims the deleted file, it just has no owners to approve it
+    if (file && file.status === 'removed' && patternConfig['on-delete'] === 'ignore') {
+      ignored = true;
+      if (patternConfig.exclusive) {
+        return { requirements: [], ignored };
+      }
+      continue;
+    }
+
+    const origin = entryOrigins.get(patternConfig) || { configPath, patternIndex };
+    const requirement = buildRequirement(patternConfig, approversConfig, {
+      ...origin,
+      pattern: patternConfig.pattern,
+      fallback: false,
+      ...(previousPath ? { previousPath } : {})
+    });
+
+    // An exclusive pattern replaces the owners matched so far in this config and ends the evaluation
+    if (patternConfig.exclusive) {
+      return { requirements: [requirement], ignored: false };
+    }
+
+    requirements.push(requirement);
+  }
+
+  return { requirements, ignored };
+}
+
+/**
+ * Resolve the owners of each file from the approvers configs, without any API calls.
+ * A renamed file needs the owners of both its previous and its new path, and patterns with `on-delete: ignore`
+ * do not require their owners to approve deleted files. Patterns with conditions on the change only apply to changes meeting them.
+ * @param {Array<string|{filename: string, status: string, previous_filename: string, changes: number, patch: string}>} files - Paths of the files to find owners for, or files as listed by the GitHub API
+ * @param {object[]} approversConfigs - Approvers configuration objects, one per -approvers team
+ * @param {string[]} [configPaths] - Paths the configs were read from, recorded as the source of each requirement
+ * @param {{useFallback: boolean}} [options] - Whether the fallback owners of the configs are used for files no pattern matches
+ * @returns {{fileApproverMap: Map<string, string[]>, fileTeamApproverMap: Map<string, string[]>, fileRequirementMap: Map<string, object[]>}} - Maps of file paths to arrays of approvers, team approvers and the requirements of the matched patterns
+ */
+function mapFileApprovers(files, approversConfigs, configPaths = [], { useFallback = true } = {}) {
+  const fileApproverMap = new Map();
+  const fileTeamApproverMap = new Map();
+  const fileRequirementMap = new Map();
+  
+  // Iterate through each file
+  for (const file of files) {
+    const fileInfo = typeof file === 'string' ? null : file;
+    const filePath = fileInfo ? fileInfo.filename : file;
+    const deleted = Boolean(fileInfo) && fileInfo.status === 'removed';
+    const previousPath = fileInfo && fileInfo.status === 'renamed' ? fileInfo.previous_filename : undefined;
+    const requirements = [];
+    let ignored = false;
+    
+    // Merge the owners from every team config, for the new and the previous path of a renamed file
+    approversConfigs.forEach((approversConfig, configIndex) => {
+      const matched = matchConfigPatterns(filePath, fileInfo, approversConfig, configPaths[configIndex]);
+      requirements.push(...matched.requirements);
+      ignored = ignored || matched.ignored;
+
+      // Patterns matching both paths are only required once
+      if (previousPath) {
+        matchConfigPatterns(previousPath, fileInfo, approversConfig, configPaths[configIndex], previousPath).requirements
+          .filter(requirement => !matched.requirements.some(other =>
+            other.source.configPath === requirement.source.configPath && other.source.patternIndex === requirement.source.patternIndex
+          ))
+          .forEach(requirement => requirements.push(requirement));
+      }
+    });
+    
+    // If no specific pattern matched in any config, use fallback approvers if available
+    if (useFallback && !ignored && !requirements.some(requirement => requirement.owners.length > 0 || requirement.teamOwners.length > 0)) {
+      approversConfigs.forEach((approversConfig, configIndex) => {
+        if (approversConfig.fallback && !(deleted && approversConfig.fallback['on-delete'] === 'ignore')) {
+          const origin = entryOrigins.get(approversConfig.fallback) || { configPath: configPaths[configIndex] };
+          requirements.push(buildRequirement(approversConfig.fallback, approversConfig, {
+            ...origin,
+            fallback: true
+          }));
+        }
+      });
+    }
+
+    const approvers = new Set(); // Use Set to avoid duplicates
+    const teamApprovers = new Set(); // Use Set to avoid duplicates
+    requirements.forEach(requirement => {
+      requirement.owners.forEach(approver => approvers.add(approver));
+      requirement.teamOwners.forEach(teamApprover => teamApprovers.add(teamApprover));
+    });
+    
+    // Convert Set to Array and store in maps
+    fileApproverMap.set(filePath, Array.from(approvers));
+    fileTeamApproverMap.set(filePath, Array.from(teamApprovers));
+    fileRequirementMap.set(filePath, requirements);
+  }
+  
+  return { fileApproverMap, fileTeamApproverMap, fileRequirementMap };
+}
+
+/**
+ * Describe where a requirement comes from, e.g. `backend/**` (patterns[2] of `.github/approvers/backend-approvers.yaml`)
+ * @param {object} requirement - Requirement built from a pattern or fallback entry
+ * @returns {string} - One line description
+ */
+function describeRequirementSource(requirement) {
+  const { configPath, patternIndex, pattern, fallback } = requirement.source;
+  const location = configPath ? ` of \`${configPath}\`` : '';
+
+  if (fallback) {
+    return `fallback${location}`;
+  }
+
+  const previous = requirement.source.previousPath ? `, matching the previous path \`${requirement.source.previousPath}\`` : '';
+  return `\`${pattern}\` (patterns[${patternIndex}]${location}${previous})`;
+}
+
+/**
+ * Generate a detailed comment body with file approvers and the approval status of each file
+ * @param {Map<string, string[]>} fileApproverMap - Map of file paths to arrays of approvers
+ * @param {Map<string, string[]>} fileTeamApproverMap - Map of file paths to arrays of team approvers
+ * @param {Set<string>} [satisfiedFiles] - Set of files that have adequate approval
+ * @param {Map<string, string[]>} [blockedFiles] - Map of blocked file paths to the reviewers who requested changes
+ * @param {Map<string, object[]>} [fileRequirementMap] - When passed, the patterns that matched each file are listed below it
+ * @returns {string} - Formatted comment body
+ */
+function generateApproversComment(fileApproverMap, fileTeamApproverMap, satisfiedFiles = new Set(), blockedFiles = new Map(), fileRequirementMap = null) {
+  let commentBody = "## 📋 Approvers Required\n\n";
+  
+  if (fileApproverMap.size === 0) {
+    commentBody += "No files found in this pull request.\n";
+  } else {
+    commentBody += "The following files require approval:\n\n";
+    
+    // Group files by approvers for cleaner display
+    const approverToFiles = new Map();
+    
+    for (const [filePath, approvers] of fileApproverMap) {
+      const teamApprovers = fileTeamApproverMap.get(filePath) || [];
+      
+      if (approvers.length === 0 && teamApprovers.length === 0) {
+        // Files with no approvers
+        const key = "_no_approvers";
+        if (!approverToFiles.has(key)) {
+          approverToFiles.set(key, []);
+        }
+        approverToFiles.get(key).push(filePath);
+      } else {
+        // Files with approvers
+        let approverKey = "";
+        if (approvers.length > 0) {
+          approverKey += `Individual: ${approvers.sort().join(", ")}`;
+        }
+        if (teamApprovers.length > 0) {
+          if (approverKey) approverKey += " | ";
+          approverKey += `Teams: ${teamApprovers.sort().join(", ")}`;
+        }
+        
+        if (!approverToFiles.has(approverKey)) {
+          approverToFiles.set(approverKey, []);
+        }
+        approverToFiles.get(approverKey).push(filePath);
+      }
+    }
+    
+    // Generate comment sections
+    for (const [approvers, files] of approverToFiles) {
+      if (approvers === "_no_approvers") {
+        commentBody += "### ⚠️ Files with no specific approvers:\n";
+        files.forEach(file => {
+          commentBody += `- \`${file}\`\n`;
+        });
+      } else {
+        commentBody += `### 👥 Approvers: ${approvers}\n`;
+        files.forEach(file => {
+          if (blockedFiles.has(file)) {
+            commentBody += `- ⛔ \`${file}\` (changes requested by ${blockedFiles.get(file).map(reviewer => `@${reviewer}`).join(", ")})\n`;
+          } else {
+            commentBody += `- ${satisfiedFiles.has(file) ? '✅' : '⏳'} \`${file}\`\n`;
+          }
+
+          if (fileRequirementMap) {
+            fileRequirementMap.get(file)
+              .filter(requirement => requirement.owners.length > 0 || requirement.teamOwners.length > 0)
+              .forEach(requirement => {
+                commentBody += `  - ${describeRequirementSource(requirement)}\n`;
+              });
+          }
+        });
+      }
+      commentBody += "\n";
+    }
+    
+    // Add summary
+    const totalFiles = fileApproverMap.size;
+    const uniqueApprovers = new Set();
+    const uniqueTeamApprovers = new Set();
+    
+    for (const approvers of fileApproverMap.values()) {
+      approvers.forEach(approver => uniqueApprovers.add(approver));
+    }
+    
+    for (const teamApprovers of fileTeamApproverMap.values()) {
+      teamApprovers.forEach(teamApprover => uniqueTeamApprovers.add(teamApprover));
+    }
+    
+    commentBody += "---\n";
+    commentBody += `**Summary:** ${totalFiles} file(s) requiring approval\n`;
+    const requiredFiles = totalFiles - (approverToFiles.get("_no_approvers") || []).length;
+    commentBody += `**Approved:** ${satisfiedFiles.size} of ${requiredFiles} file(s)\n`;
+    
+    if (uniqueApprovers.size > 0) {
+      commentBody += `**Individual approvers:** ${Array.from(uniqueApprovers).sort().join(", ")}\n`;
+    }
+    if (uniqueTeamApprovers.size > 0) {
+      commentBody += `**Team approvers:** ${Array.from(uniqueTeamApprovers).sort().join(", ")}\n`;
+    }
+  }
+  
+  return commentBody;
+}
+
+module.exports = {
+  parseApproversConfig,
+  resolveApproversConfig,
+  validateSettings,
+  findConfigLine,
+  toList,
+  toCodeownersGlobs,
+  matchesPattern,
+  getPatternSyntax,
+  mapFileApprovers,
+  describeRequirementSource,
+  generateApproversComment
+};
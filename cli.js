@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+// Preview who will have to approve a set of files or a git diff, using a local directory of approvers configs.
+// Runs fully offline: the configs are read from disk and the GitHub API is never called.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('util');
+const { resolveApproversConfig, mapFileApprovers, generateApproversComment } = require('./approvers');
+const { generateCodeownersBlock, updateCodeowners, importCodeowners, formatApproversConfig } = require('./codeowners');
+
+const USAGE = `Usage: advanced-codeowners [options] [file ...]
+       advanced-codeowners --codeowners <file> --org <org> [options]
+       advanced-codeowners --import <file> --org <org> --team <name> [--config-dir <dir>]
+
+Print the approvers required for the given files, or for the files changed between two git refs.
+With --codeowners, print the CODEOWNERS file with the routing of the teams regenerated from the configs instead.
+With --import, convert an existing CODEOWNERS file to the config of one team, written to the config directory,
+and print the CODEOWNERS file routing every file to that team.
+
+Options:
+  --config-dir <dir>  Directory containing the <team>-approvers.yaml files (default: $CONFIG_PATH)
+  --team <name>       -approvers team whose config is used, can be repeated
+                      (default: every *-approvers.yaml file in the config directory)
+  --base <ref>        Use the files of \`git diff <base>...<head>\` instead of a file list,
+                      renamed files need the owners of their old and new path
+  --head <ref>        Head of the diff (default: HEAD)
+  --verbose           List the patterns that matched each file
+  --json              Print JSON instead of markdown
+  --codeowners <file> CODEOWNERS file to update, it does not need to exist
+  --import <file>     CODEOWNERS file to convert
+  --org <org>         Organization of the teams, for --codeowners and --import
+  -h, --help          Show this help
+`;
+
+/**
+ * Read the YAML source of a local config file. Configs of other repositories can not be read offline.
+ * @param {{repository: (string|null), path: string}} location - Config location
+ * @returns {string|null} - YAML source, or null if not found
+ */
+function readConfigContent(location) {
+  if (location.repository || !fs.existsSync(location.path)) {
+    return null;
+  }
+
+  return fs.readFileSync(location.path, 'utf8');
+}
+
+/**
+ * Read and validate the approvers configs of the given teams from a local directory
+ * @param {string} configDir - Directory containing the config files
+ * @param {string[]} teamNames - Team names, every *-approvers.yaml file of the directory when empty
+ * @returns {Promise<{approversConfigs: object[], configPaths: string[], teamNames: string[], errors: string[]}>} - Parsed configs, the paths they were read from, the names of their teams and the problems found
+ */
+async function loadApproversConfigs(configDir, teamNames) {
+  if (teamNames.length === 0) {
+    teamNames = fs.readdirSync(configDir)
+      .filter(fileName => fileName.endsWith('-approvers.yaml'))
+      .map(fileName => fileName.slice(0, -'.yaml'.length))
+      .sort();
+  }
+
+  const approversConfigs = [];
+  const configPaths = [];
+  const configTeamNames = [];
+  const errors = [];
+
+  for (const teamName of teamNames) {
+    const configPath = path.join(configDir, `${teamName}.yaml`);
+
+    if (!fs.existsSync(configPath)) {
+      errors.push(`No approvers configuration found at ${configPath}`);
+      continue;
+    }
+
+    const result = await resolveApproversConfig(configPath, readConfigContent);
+    result.invalidConfigs.forEach(invalidConfig => {
+      invalidConfig.errors.forEach(error => errors.push(`${invalidConfig.configPath}:${error.line}: ${error.message}`));
+    });
+
+    if (result.config) {
+      approversConfigs.push(result.config);
+      configPaths.push(configPath);
+      configTeamNames.push(teamName);
+    }
+  }
+
+  return { approversConfigs, configPaths, teamNames: configTeamNames, errors };
+}
+
+// Statuses of `git diff --name-status` with a different name in the pull request files API
+const GIT_FILE_STATUSES = { A: 'added', D: 'removed', R: 'renamed', C: 'copied' };
+
+/**
+ * List the files changed between two git refs of the repository in the working directory, in the format of the
+ * pull request files API so renamed and deleted files are handled like in pull requests
+ * @param {string} base - Base ref
+ * @param {string} head - Head ref
+ * @returns {Array<{filename: string, status: string, previous_filename: (string|undefined)}>} - Changed files
+ */
+function listChangedFiles(base, head) {
+  // -z keeps paths with special characters as is, git quotes and escapes them otherwise
+  const output = execFileSync('git', ['diff', '--name-status', '--find-renames', '-z', `${base}...${head}`], { encoding: 'utf8' });
+  const fields = output.split('\0').filter(Boolean);
+  const files = [];
+
+  // Each status is followed by its path, renames and copies by the old and new path, e.g. R087 old new
+  for (let i = 0; i < fields.length;) {
+    const status = fields[i++];
+    const previousPath = /^[RC]/.test(status) ? fields[i++] : undefined;
+    const file = { filename: fields[i++], status: GIT_FILE_STATUSES[status[0]] || 'modified' };
+    if (file.status === 'renamed') {
+      file.previous_filename = previousPath;
+    }
+    files.push(file);
+  }
+
+  return files;
+}
+
+/**
+ * Convert a CODEOWNERS file to the approvers config of one team and print the CODEOWNERS file routing to the team
+ * @param {string} codeownersPath - CODEOWNERS file to convert
+ * @param {string} configDir - Directory the config is written to
+ * @param {string} org - Organization of the teams
+ * @param {string[]} teamNames - Names passed with --team, exactly one is expected
+ * @returns {number} - Exit code
+ */
+function importCodeownersFile(codeownersPath, configDir, org, teamNames) {
+  if (teamNames.length !== 1) {
+    console.error(`Pass the -approvers team the config is for with --team.\n\n${USAGE}`);
+    return 2;
+  }
+
+  const configPath = path.join(configDir, `${teamNames[0]}.yaml`);
+  if (fs.existsSync(configPath)) {
+    console.error(`${configPath} already exists, not overwriting it`);
+    return 1;
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(codeownersPath, 'utf8');
+  } catch (error) {
+    console.error(`Failed to read ${codeownersPath}: ${error.message}`);
+    return 1;
+  }
+
+  const { config, codeowners, warnings, errors } = importCodeowners(content, { org, teamName: teamNames[0] });
+  warnings.forEach(warning => console.error(`${codeownersPath}: ${warning}`));
+
+  // Converting these lines would change who must approve their files, so nothing is written
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`${codeownersPath}: ${error}`));
+    console.error(`${configPath} was not written, fix the lines above and import again`);
+    return 1;
+  }
+
+  fs.mkdirSync(configDir, { recursive: true });
+  fs.writeFileSync(configPath, formatApproversConfig(config));
+  console.error(`Wrote ${config.patterns.length} pattern(s) to ${configPath}`);
+
+  process.stdout.write(codeowners);
+  return 0;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Command line arguments, without the node executable and script path
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'config-dir': { type: 'string' },
+        team: { type: 'string', multiple: true },
+        base: { type: 'string' },
+        head: { type: 'string', default: 'HEAD' },
+        verbose: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        codeowners: { type: 'string' },
+        import: { type: 'string' },
+        org: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const configDir = values['config-dir'] || process.env.CONFIG_PATH;
+  if (!configDir) {
+    console.error(`Pass --config-dir or set CONFIG_PATH.\n\n${USAGE}`);
+    return 2;
+  }
+
+  if ((values.codeowners || values.import) && !values.org) {
+    console.error(`Pass the --org of the teams with --codeowners and --import.\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (values.import) {
+    return importCodeownersFile(values.import, configDir, values.org, values.team || []);
+  }
+
+  if (!values.codeowners && !values.base && positionals.length === 0) {
+    console.error(`Pass the files to check, or --base to check a git diff.\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { approversConfigs, configPaths, teamNames, errors } = await loadApproversConfigs(configDir, values.team || []);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(error));
+    return 1;
+  }
+
+  if (values.codeowners) {
+    const content = fs.existsSync(values.codeowners) ? fs.readFileSync(values.codeowners, 'utf8') : null;
+    const teamConfigs = approversConfigs.map((config, index) => ({ teamName: teamNames[index], config }));
+    process.stdout.write(updateCodeowners(content, generateCodeownersBlock(values.org, teamConfigs)));
+    return 0;
+  }
+
+  let files = positionals;
+  if (values.base) {
+    try {
+      files = listChangedFiles(values.base, values.head);
+    } catch (error) {
+      console.error(`Failed to list the files changed between ${values.base} and ${values.head}: ${error.message}`);
+      return 1;
+    }
+  }
+
+  const { fileApproverMap, fileTeamApproverMap, fileRequirementMap } = mapFileApprovers(files, approversConfigs, configPaths);
+
+  if (values.json) {
+    const filePaths = Array.from(fileApproverMap.keys());
+    console.log(JSON.stringify({
+      files: filePaths.map(filePath => ({
+        path: filePath,
+        owners: fileApproverMap.get(filePath),
+        teamOwners: fileTeamApproverMap.get(filePath),
+        requirements: fileRequirementMap.get(filePath)
+      }))
+    }, null, 2));
+  } else {
+    console.log(generateApproversComment(fileApproverMap, fileTeamApproverMap, undefined, undefined, values.verbose ? fileRequirementMap : null));
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,306 @@
+// Generation of the CODEOWNERS lines that route pull requests to the -approvers teams, shared by the app and the CLI,
+// and import of existing CODEOWNERS files into approvers configs. Nothing in this module calls the GitHub API.
+
+const yaml = require('js-yaml');
+const { minimatch } = require('minimatch');
+const { toList, toCodeownersGlobs, getPatternSyntax } = require('./approvers');
+
+// Lines delimiting the generated routing in a CODEOWNERS file, the rest of the file is left untouched
+const BLOCK_START = '# BEGIN advanced-codeowners: generated from the approvers configs, do not edit';
+const BLOCK_END = '# END advanced-codeowners';
+
+// Segments of glob patterns with a character class or an extglob, e.g. `*.[jt]s` or `+(a|b)`
+const UNSUPPORTED_SEGMENT = /\[|[@!?+*]\(/;
+
+/**
+ * Convert a pattern of an approvers config to CODEOWNERS patterns.
+ * Glob patterns have their braces expanded, since CODEOWNERS does not support them, and patterns without a slash are
+ * anchored to the repository root, where they match in approvers configs, instead of matching in every directory.
+ * CODEOWNERS does not support character classes and extglobs either and GitHub skips such lines, so the segments using
+ * them are widened to `*`, e.g. `src/*.[jt]s` becomes `src/*`. Patterns with the codeowners syntax are used as is.
+ * @param {string} pattern - Pattern of an approvers config
+ * @param {string} syntax - Syntax of the pattern, `glob` or `codeowners`
+ * @returns {string[]} - CODEOWNERS patterns
+ */
+function toCodeownersPatterns(pattern, syntax) {
+  if (syntax === 'codeowners') {
+    return [pattern];
+  }
+
+  return Array.from(new Set(minimatch.braceExpand(pattern).map(expanded => {
+    const widened = expanded.split('/').map(segment => UNSUPPORTED_SEGMENT.test(segment) ? '*' : segment).join('/');
+    return widened.includes('/') ? widened : `/${widened}`;
+  })));
+}
+
+// Options matching paths like CODEOWNERS does, see toCodeownersGlobs
+const CODEOWNERS_MATCH_OPTIONS = { dot: true, nobrace: true, noext: true, nonegate: true, nocomment: true };
+
+/**
+ * Check whether two segments of minimatch patterns may match the same path segment.
+ * A segment with wildcards is only compared by the literal text before its first and after its last wildcard.
+ * @param {string} segment - Segment of a pattern
+ * @param {string} other - Segment of another pattern
+ * @returns {boolean} - False when no path segment can match both
+ */
+function segmentsMayOverlap(segment, other) {
+  const isLiteral = (value) => !/[*?]/.test(value);
+  const unescape = (value) => value.replace(/\\(.)/g, '$1');
+
+  if (isLiteral(segment) && isLiteral(other)) {
+    return unescape(segment) === unescape(other);
+  }
+  if (isLiteral(segment) || isLiteral(other)) {
+    const [literal, wildcard] = isLiteral(segment) ? [segment, other] : [other, segment];
+    return minimatch(unescape(literal), wildcard, CODEOWNERS_MATCH_OPTIONS);
+  }
+
+  const prefixOf = (value) => unescape(value.slice(0, value.search(/[*?]/)));
+  const suffixOf = (value) => unescape(value.slice(Math.max(value.lastIndexOf('*'), value.lastIndexOf('?')) + 1));
+  const [prefix, otherPrefix] = [prefixOf(segment), prefixOf(other)];
+  const [suffix, otherSuffix] = [suffixOf(segment), suffixOf(other)];
+  return (prefix.startsWith(otherPrefix) || otherPrefix.startsWith(prefix)) &&
+    (suffix.endsWith(otherSuffix) || otherSuffix.endsWith(suffix));
+}
+
+/**
+ * Check whether two minimatch patterns may match the same path. The segments before the first `**` and after the
+ * last `**` of either pattern are compared, anything else is assumed to overlap, so the result errs towards true.
+ * @param {string} glob - Minimatch pattern
+ * @param {string} other - Another minimatch pattern
+ * @returns {boolean} - False when no path can match both
+ */
+function globsMayOverlap(glob, other) {
+  const segments = glob.split('/');
+  const otherSegments = other.split('/');
+
+  let start = 0;
+  while (start < segments.length && start < otherSegments.length && segments[start] !== '**' && otherSegments[start] !== '**') {
+    if (!segmentsMayOverlap(segments[start], otherSegments[start])) {
+      return false;
+    }
+    start++;
+  }
+
+  // Without a globstar left, both patterns match paths of a fixed depth
+  if (!segments.slice(start).includes('**') && !otherSegments.slice(start).includes('**')) {
+    return segments.length === otherSegments.length;
+  }
+
+  for (let end = 1; end <= segments.length - start && end <= otherSegments.length - start; end++) {
+    const segment = segments[segments.length - end];
+    const otherSegment = otherSegments[otherSegments.length - end];
+    if (segment === '**' || otherSegment === '**') {
+      break;
+    }
+    if (!segmentsMayOverlap(segment, otherSegment)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Check whether two CODEOWNERS patterns may match the same file
+ * @param {string} pattern - CODEOWNERS pattern
+ * @param {string} other - Another CODEOWNERS pattern
+ * @returns {boolean} - False when no file can match both
+ */
+function patternsMayOverlap(pattern, other) {
+  const otherGlobs = toCodeownersGlobs(other);
+  return toCodeownersGlobs(pattern).some(glob => otherGlobs.some(otherGlob => globsMayOverlap(glob, otherGlob)));
+}
+
+/**
+ * Generate the CODEOWNERS block routing the files of every config pattern to the team of the config.
+ * Since the last matching CODEOWNERS line wins, each line also lists the teams of the broader patterns containing it,
+ * and broader patterns come first. Patterns that may overlap without one containing the other route their files to
+ * the teams of both on the later line, a team routed a file its config does not match has nothing to approve.
+ * Teams whose config has a fallback are routed every file with a `*` line.
+ * @param {string} org - Organization of the teams
+ * @param {Array<{teamName: string, config: object}>} teamConfigs - Approvers config of each team
+ * @returns {string} - CODEOWNERS block, including its delimiting lines
+ */
+function generateCodeownersBlock(org, teamConfigs) {
+  const patternTeams = new Map();
+  const fallbackTeams = new Set();
+
+  for (const { teamName, config } of teamConfigs) {
+    for (const patternConfig of config.patterns || []) {
+      for (const pattern of toCodeownersPatterns(patternConfig.pattern, getPatternSyntax(config, patternConfig))) {
+        if (!patternTeams.has(pattern)) {
+          patternTeams.set(pattern, new Set());
+        }
+        patternTeams.get(pattern).add(teamName);
+      }
+    }
+
+    if (config.fallback && toList(config.fallback.owners).length + toList(config.fallback['team-owners']).length > 0) {
+      fallbackTeams.add(teamName);
+    }
+  }
+
+  // A pattern contains another when it matches the other as a path, e.g. backend/** contains backend/**/*.sql
+  const patterns = Array.from(patternTeams.keys());
+  const broaderPatterns = new Map(patterns.map(pattern => [
+    pattern,
+    patterns.filter(other => other !== pattern && minimatch(pattern, other, { dot: true }))
+  ]));
+  const sortedPatterns = [...patterns].sort((a, b) => broaderPatterns.get(a).length - broaderPatterns.get(b).length);
+
+  const formatOwners = (teams) => Array.from(teams).sort().map(team => `@${org}/${team}`).join(' ');
+
+  const lines = [BLOCK_START];
+  if (fallbackTeams.size > 0) {
+    lines.push(`* ${formatOwners(fallbackTeams)}`);
+  }
+
+  sortedPatterns.forEach((pattern, index) => {
+    const teams = new Set(patternTeams.get(pattern));
+    const earlierOverlapping = sortedPatterns.slice(0, index).filter(earlier => patternsMayOverlap(pattern, earlier));
+    [...broaderPatterns.get(pattern), ...earlierOverlapping].forEach(other => patternTeams.get(other).forEach(team => teams.add(team)));
+    // Spaces and # would end the pattern in CODEOWNERS
+    lines.push(`${pattern.replace(/[\s#]/g, '\\$&')} ${formatOwners(teams)}`);
+  });
+
+  lines.push(BLOCK_END);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Replace the generated block of a CODEOWNERS file, or append it when the file has none
+ * @param {string|null} content - Current CODEOWNERS file, null if there is none
+ * @param {string} block - Generated block
+ * @returns {string} - Updated CODEOWNERS file
+ */
+function updateCodeowners(content, block) {
+  if (!content) {
+    return block;
+  }
+
+  const start = content.indexOf(BLOCK_START);
+  const end = content.indexOf(BLOCK_END, start);
+  if (start !== -1 && end !== -1) {
+    const afterEnd = content.indexOf('\n', end);
+    return content.slice(0, start) + block + (afterEnd === -1 ? '' : content.slice(afterEnd + 1));
+  }
+
+  return `${content.replace(/\n*$/, '\n')}\n${block}`;
+}
+
+/**
+ * Split a CODEOWNERS line into its pattern and owners, dropping comments. A backslash escapes spaces and `#`.
+ * @param {string} line - Line of a CODEOWNERS file
+ * @returns {string[]} - Pattern followed by the owners, empty for blank and comment lines
+ */
+function splitCodeownersLine(line) {
+  const tokens = [];
+  let token = '';
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '\\' && i + 1 < line.length) {
+      token += line[++i];
+    } else if (char === '#' && token === '') {
+      break;
+    } else if (/\s/.test(char)) {
+      if (token) {
+        tokens.push(token);
+      }
+      token = '';
+    } else {
+      token += char;
+    }
+  }
+
+  if (token) {
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+/**
+ * Convert a CODEOWNERS file to an approvers config of a single team, using the codeowners pattern syntax.
+ * CODEOWNERS lines are listed last line first as exclusive patterns, so the last matching line still wins, and a line
+ * with several owners needs the approval of any one of them.
+ * Lines whose owners can not all be kept as GitHub users or teams of the organization are errors, since converting them
+ * would change who must approve their files, e.g. a line only owned by email addresses would need no approval at all.
+ * @param {string} content - CODEOWNERS file
+ * @param {{org: string, teamName: string}} options - Organization of the teams and name of the -approvers team the config is for
+ * @returns {{config: object, codeowners: string, warnings: string[], errors: string[]}} - Approvers config, CODEOWNERS file routing every file to the team, the lines that could not be converted as is, and the lines that can not be converted
+ */
+function importCodeowners(content, { org, teamName }) {
+  const patterns = [];
+  const warnings = [];
+  const errors = [];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const [pattern, ...owners] = splitCodeownersLine(line);
+    if (!pattern) {
+      return;
+    }
+
+    const lineNumber = index + 1;
+    if (pattern.startsWith('!') || /\[.*\]/.test(pattern)) {
+      warnings.push(`Line ${lineNumber}: \`${pattern}\` uses syntax CODEOWNERS does not support and was skipped`);
+      return;
+    }
+
+    const patternConfig = { pattern };
+    const users = [];
+    const teams = [];
+
+    for (const owner of owners) {
+      const team = owner.match(/^@([^/]+)\/(.+)$/);
+      if (team && team[1] !== org) {
+        errors.push(`Line ${lineNumber}: team \`${owner}\` is not in the ${org} organization`);
+      } else if (team) {
+        teams.push(team[2]);
+      } else if (owner.startsWith('@')) {
+        users.push(owner.slice(1));
+      } else {
+        warnings.push(`Line ${lineNumber}: email owner \`${owner}\` can not be mapped to a GitHub user and was dropped`);
+      }
+    }
+
+    if (owners.length > 0 && users.length + teams.length === 0) {
+      errors.push(`Line ${lineNumber}: \`${pattern}\` is only owned by email addresses, replace them with @user or @org/team owners`);
+      return;
+    }
+
+    if (users.length > 0) {
+      patternConfig.owners = users;
+    }
+    if (teams.length > 0) {
+      patternConfig['team-owners'] = teams;
+    }
+    if (users.length + teams.length > 1) {
+      patternConfig.mode = 'any';
+    }
+    patternConfig.exclusive = true;
+    patterns.push(patternConfig);
+  });
+
+  const config = { syntax: 'codeowners', patterns: patterns.reverse() };
+  const codeowners = `${BLOCK_START}\n* @${org}/${teamName}\n${BLOCK_END}\n`;
+  return { config, codeowners, warnings, errors };
+}
+
+/**
+ * Format an imported approvers config as YAML
+ * @param {object} config - Approvers config
+ * @returns {string} - YAML source
+ */
+function formatApproversConfig(config) {
+  const header = '# Imported from CODEOWNERS. The last line of CODEOWNERS comes first and every pattern is exclusive,\n' +
+    '# so the owners of the first matching pattern must approve, as the last matching line did in CODEOWNERS.\n';
+  return header + yaml.dump(config, { lineWidth: -1 });
+}
+
+module.exports = {
+  generateCodeownersBlock,
+  updateCodeowners,
+  importCodeowners,
+  formatApproversConfig
+};
@@ -4,12 +4,19 @@ const assert = require("uvu/assert");
 const nock = require("nock");
 nock.disableNetConnect();
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
 const {
   Probot,
   ProbotOctokit,
 } = require("@probot/adapter-aws-lambda-serverless");
 
 const app = require("./app");
+const { matchesPattern, parseApproversConfig } = require("./approvers");
+const { generateCodeownersBlock } = require("./codeowners");
 
 /** @type {import('probot').Probot */
 let probot;
@@ -36,6 +43,33 @@ test.after.each(() => {
   delete process.env.CONFIG_PATH;
 });
 
+// The repository settings file is read once per event, a 404 in the repository and in the .github repository
+// of the org falls back to the environment
+function mockSettingsFile(times = 1) {
+  return nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fadvanced-codeowners.yml")
+    .times(times)
+    .reply(404)
+    .get("/repos/robandpdx/.github/contents/.github%2Fadvanced-codeowners.yml")
+    .times(times)
+    .reply(404);
+}
+
+// The timeline of the pull request is read for the teams that were requested before, an empty one adds none
+function mockTimeline(pullNumber, times = 1) {
+  return nock("https://api.github.com")
+    .get(`/repos/robandpdx/advanced-codeowners-aws/issues/${pullNumber}/timeline`)
+    .query({ per_page: 100 })
+    .times(times)
+    .reply(200, []);
+}
+
+// Author of the comments the app wrote through its installation
+const appCommentAuthor = {
+  user: { login: "advanced-codeowners[bot]", type: "Bot" },
+  performed_via_github_app: { id: 1, slug: "advanced-codeowners" }
+};
+
 const configContent = Buffer.from(`
 patterns:
   - pattern: "backend/**/*.pdf"
@@ -62,6 +96,9 @@ patterns:
 `).toString('base64');
 
 test("receives pull_request.review_requested event when team ending with -approvers is requested", async function () {
+  mockSettingsFile();
+  mockTimeline(123);
+
   // Set CONFIG_PATH environment variable
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -76,6 +113,7 @@ test("receives pull_request.review_requested event when team ending with -approv
   // Mock the PR files list
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/123/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "backend/report.pdf" },
       { filename: "frontend/docs.md" },
@@ -83,36 +121,22 @@ test("receives pull_request.review_requested event when team ending with -approv
     ]);
 
   const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/123/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
     .post(
       "/repos/robandpdx/advanced-codeowners-aws/issues/123/comments",
       (requestBody) => {
-        assert.equal(requestBody, { body: "Finding appropriate reviewers for this PR..." });
-        return true;
-      }
-    )
-    .reply(201, {})
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/123/comments",
-      (requestBody) => {
-        // Verify the detailed comment contains expected elements
+        // Verify the status comment contains the approvers and the review request confirmation
+        assert.ok(requestBody.body.startsWith("<!-- advanced-codeowners:status -->"), "Should contain the hidden marker");
         assert.ok(requestBody.body.includes("## 📋 Approvers Required"), "Should contain approvers header");
         assert.ok(requestBody.body.includes("tclifton_volcano"), "Should contain tclifton_volcano");
         assert.ok(requestBody.body.includes("pfd-team"), "Should contain pfd-team");
         assert.ok(requestBody.body.includes("markdown-team"), "Should contain markdown-team");
         assert.ok(requestBody.body.includes("frontend-team"), "Should contain frontend-team");
-        return true;
-      }
-    )
-    .reply(201, {})
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/123/comments",
-      (requestBody) => {
-        // Verify the confirmation comment
+        assert.ok(requestBody.body.includes("- ⏳ `frontend/app.js`"), "Should show the file as pending");
         assert.ok(requestBody.body.includes("✅ Review requests have been sent to:"), "Should contain confirmation message");
-        assert.ok(requestBody.body.includes("tclifton_volcano"), "Should mention tclifton_volcano");
-        assert.ok(requestBody.body.includes("pfd-team"), "Should mention pfd-team");
-        assert.ok(requestBody.body.includes("markdown-team"), "Should mention markdown-team");
-        assert.ok(requestBody.body.includes("frontend-team"), "Should mention frontend-team");
+        assert.ok(!requestBody.body.includes("Finding appropriate reviewers"), "Should not post a progress message");
         return true;
       }
     )
@@ -138,6 +162,12 @@ test("receives pull_request.review_requested event when team ending with -approv
     )
     .reply(201, {});
 
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/123/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
   await probot.receive({
     name: "pull_request",
     id: "2",
@@ -166,10 +196,12 @@ test("receives pull_request.review_requested event when team ending with -approv
   assert.ok(filesMock.isDone(), "PR files should have been fetched");
   assert.ok(commentMock.isDone(), "Comment should have been posted");
   assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
 });
 
 test("does not comment when team not ending with -approvers is requested", async function () {
-  // No mock needed since no API call should be made
+  // Only the settings are read, no other API call should be made
+  mockSettingsFile();
   
   await probot.receive({
     name: "pull_request",
@@ -198,6 +230,9 @@ test("does not comment when team not ending with -approvers is requested", async
 });
 
 test("handles config file not found gracefully", async function () {
+  mockSettingsFile();
+  mockTimeline(789);
+
   // Set CONFIG_PATH environment variable
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -208,10 +243,13 @@ test("handles config file not found gracefully", async function () {
     .reply(404, { message: "Not Found" });
 
   const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/789/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
     .post(
       "/repos/robandpdx/advanced-codeowners-aws/issues/789/comments",
       (requestBody) => {
-        assert.equal(requestBody, { body: "No approvers configuration found at `.github/approvers/frontend-approvers.yaml`. Please check the file path and try again." });
+        assert.equal(requestBody, { body: "<!-- advanced-codeowners:status -->\nNo approvers configuration found at `.github/approvers/frontend-approvers.yaml`. Please check the file path and try again." });
         return true;
       }
     )
@@ -246,6 +284,9 @@ test("handles config file not found gracefully", async function () {
 });
 
 test("comment generation handles various file scenarios", async function () {
+  mockSettingsFile();
+  mockTimeline(999);
+
   // Set CONFIG_PATH environment variable
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -260,26 +301,29 @@ test("comment generation handles various file scenarios", async function () {
   // Mock PR files with various scenarios
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/999/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "backend/report.pdf" },      // matches backend pdf pattern -> pfd-team
       { filename: "frontend/docs.md" },        // matches frontend md pattern -> tclifton_volcano, markdown-team
       { filename: "frontend/app.js" }          // matches frontend pattern -> tclifton_volcano, frontend-team
     ]);
 
+  // The status comment already exists, so it is updated in place
   const commentMock = nock("https://api.github.com")
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/999/comments",
-      (requestBody) => {
-        assert.equal(requestBody, { body: "Finding appropriate reviewers for this PR..." });
-        return true;
-      }
-    )
-    .reply(201, {})
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/999/comments",
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/999/comments")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { id: 7, body: "Looks good to me" },
+      // Starts with the marker, but was not written by the app
+      { id: 8, user: { login: "mallory", type: "User" }, body: "<!-- advanced-codeowners:status -->\nAll approved" },
+      { id: 42, ...appCommentAuthor, body: "<!-- advanced-codeowners:status -->\n## 📋 Approvers Required\n\nNo files found in this pull request.\n" }
+    ])
+    .patch(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/comments/42",
       (requestBody) => {
         const body = requestBody.body;
         // Verify comment structure
+        assert.ok(body.startsWith("<!-- advanced-codeowners:status -->\n"), "Should keep the hidden marker");
         assert.ok(body.includes("## 📋 Approvers Required"), "Should contain header");
         assert.ok(body.includes("tclifton_volcano"), "Should show tclifton_volcano");
         assert.ok(body.includes("pfd-team"), "Should show pfd-team");
@@ -289,23 +333,12 @@ test("comment generation handles various file scenarios", async function () {
         assert.ok(body.includes("frontend/docs.md"), "Should list md file");
         assert.ok(body.includes("frontend/app.js"), "Should list js file");
         assert.ok(body.includes("**Summary:**"), "Should contain summary");
+        assert.ok(body.includes("**Approved:** 0 of 3 file(s)"), "Should contain the approval progress");
+        assert.ok(body.includes("✅ Review requests have been sent to:"), "Should contain confirmation message");
         return true;
       }
     )
-    .reply(201, {})
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/999/comments",
-      (requestBody) => {
-        // Verify the confirmation comment for review requests
-        assert.ok(requestBody.body.includes("✅ Review requests have been sent to:"), "Should contain confirmation message");
-        assert.ok(requestBody.body.includes("tclifton_volcano"), "Should mention tclifton_volcano");
-        assert.ok(requestBody.body.includes("pfd-team"), "Should mention pfd-team");
-        assert.ok(requestBody.body.includes("markdown-team"), "Should mention markdown-team");
-        assert.ok(requestBody.body.includes("frontend-team"), "Should mention frontend-team");
-        return true;
-      }
-    )
-    .reply(201, {});
+    .reply(200, {});
 
   // Mock the review request API call
   const reviewRequestMock = nock("https://api.github.com")
@@ -325,6 +358,12 @@ test("comment generation handles various file scenarios", async function () {
     )
     .reply(201, {});
 
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/999/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
   await probot.receive({
     name: "pull_request",
     id: "5",
@@ -353,9 +392,13 @@ test("comment generation handles various file scenarios", async function () {
   assert.ok(filesMock.isDone(), "PR files should have been fetched");
   assert.ok(commentMock.isDone(), "Comment should have been posted");
   assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
 });
 
 test("handles review request failures gracefully", async function () {
+  mockSettingsFile();
+  mockTimeline(555);
+
   // Set CONFIG_PATH environment variable
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -370,31 +413,20 @@ test("handles review request failures gracefully", async function () {
   // Mock the PR files list
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/555/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "backend/report.pdf" }
     ]);
 
   const commentMock = nock("https://api.github.com")
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/555/comments",
-      (requestBody) => {
-        assert.equal(requestBody, { body: "Finding appropriate reviewers for this PR..." });
-        return true;
-      }
-    )
-    .reply(201, {})
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/555/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
     .post(
       "/repos/robandpdx/advanced-codeowners-aws/issues/555/comments",
       (requestBody) => {
         assert.ok(requestBody.body.includes("## 📋 Approvers Required"), "Should contain approvers header");
-        return true;
-      }
-    )
-    .reply(201, {})
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/555/comments",
-      (requestBody) => {
-        // Verify the error comment
+        // Verify the error message
         assert.ok(requestBody.body.includes("⚠️ Failed to request reviews"), "Should contain error message");
         assert.ok(requestBody.body.includes("Team not found"), "Should contain specific error");
         return true;
@@ -407,6 +439,12 @@ test("handles review request failures gracefully", async function () {
     .post("/repos/robandpdx/advanced-codeowners-aws/pulls/555/requested_reviewers")
     .reply(422, { message: "Team not found" });
 
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/555/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
   await probot.receive({
     name: "pull_request",
     id: "6",
@@ -433,11 +471,15 @@ test("handles review request failures gracefully", async function () {
   // Verify all mocks were called
   assert.ok(configMock.isDone(), "Config file should have been fetched");
   assert.ok(filesMock.isDone(), "PR files should have been fetched");
-  assert.ok(commentMock.isDone(), "Comments should have been posted");
+  assert.ok(commentMock.isDone(), "Comment should have been posted");
   assert.ok(reviewRequestMock.isDone(), "Review request should have been attempted");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
 });
 
 test("requestReviewsFromApprovers function handles successful review requests", async function () {
+  mockSettingsFile();
+  mockTimeline(777);
+
   // This test verifies the requestReviewsFromApprovers function works correctly
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -451,37 +493,23 @@ test("requestReviewsFromApprovers function handles successful review requests",
 
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/777/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "backend/report.pdf" },
       { filename: "frontend/docs.md" },
       { filename: "frontend/app.js" }
     ]);
 
-  // Mock the initial comment, detailed comment, review request, and confirmation comment
+  // Mock the status comment with the approvers and the review request confirmation
   const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/777/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
     .post(
       "/repos/robandpdx/advanced-codeowners-aws/issues/777/comments",
       (requestBody) => {
-        console.log("First comment:", requestBody.body);
-        return requestBody.body === "Finding appropriate reviewers for this PR...";
-      }
-    )
-    .reply(201, {})
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/777/comments",
-      (requestBody) => {
-        console.log("Second comment:", requestBody.body);
-        // This is the detailed approvers comment
-        return requestBody.body.includes("## 📋 Approvers Required");
-      }
-    )
-    .reply(201, {})
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/777/comments",
-      (requestBody) => {
-        console.log("Third comment:", requestBody.body);
-        // This is the confirmation comment
-        return requestBody.body.includes("✅ Review requests have been sent to:");
+        return requestBody.body.includes("## 📋 Approvers Required") &&
+          requestBody.body.includes("✅ Review requests have been sent to:");
       }
     )
     .reply(201, {});
@@ -504,6 +532,12 @@ test("requestReviewsFromApprovers function handles successful review requests",
     )
     .reply(201, {});
 
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/777/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
   await probot.receive({
     name: "pull_request",
     id: "7",
@@ -527,10 +561,14 @@ test("requestReviewsFromApprovers function handles successful review requests",
   assert.ok(configMock.isDone(), "Config file should have been fetched");
   assert.ok(filesMock.isDone(), "PR files should have been fetched");
   assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
-  assert.ok(commentMock.isDone(), "All comments should have been posted");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
 });
 
 test("requestReviewsFromApprovers function handles empty approvers gracefully", async function () {
+  mockSettingsFile();
+  mockTimeline(888);
+
   // Test with no approvers - should not make any API calls
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -553,19 +591,30 @@ patterns:
 
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/888/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "file1.js" },  // No pattern matches
       { filename: "file2.md" }   // No pattern matches
     ]);
 
-  const initialCommentMock = nock("https://api.github.com")
-    .post("/repos/robandpdx/advanced-codeowners-aws/issues/888/comments")
-    .reply(201, {})
-    .post("/repos/robandpdx/advanced-codeowners-aws/issues/888/comments")
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/888/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/888/comments",
+      (requestBody) => !requestBody.body.includes("Review requests have been sent")
+    )
     .reply(201, {});
 
   // No review request or confirmation comment should be made since no approvers
 
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/888/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
   await probot.receive({
     name: "pull_request",
     id: "8",
@@ -588,10 +637,14 @@ patterns:
   // Verify mocks were called (but no review request should have been made)
   assert.ok(configMock.isDone(), "Config file should have been fetched");
   assert.ok(filesMock.isDone(), "PR files should have been fetched");
-  // No additional assertions needed since no review request mocks were set up
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
 });
 
 test("handles pull_request_review.submitted event for approved reviews", async function () {
+  mockSettingsFile();
+  mockTimeline(456);
+
   // Set CONFIG_PATH environment variable
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -606,6 +659,7 @@ test("handles pull_request_review.submitted event for approved reviews", async f
   // Mock the PR files list
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/456/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "frontend/app.js" },
       { filename: "backend/report.pdf" }
@@ -613,27 +667,44 @@ test("handles pull_request_review.submitted event for approved reviews", async f
 
   // Mock team membership check
   const teamMembershipMock = nock("https://api.github.com")
-    .get("/orgs/robandpdx/teams/frontend-team/memberships/tclifton_volcano")
-    .reply(200, { state: "active" })
-    .get("/orgs/robandpdx/teams/pfd-team/memberships/tclifton_volcano")
-    .reply(404, { message: "Not Found" })
-    .get("/orgs/robandpdx/teams/backend-team/memberships/tclifton_volcano")
+    .get("/orgs/robandpdx/teams/frontend-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [{ login: "tclifton_volcano" }])
+    .get("/orgs/robandpdx/teams/pfd-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .get("/orgs/robandpdx/teams/backend-team/members")
+    .query({ per_page: 100 })
     .reply(404, { message: "Not Found" });
 
-  // Mock the comment that should be posted
+  // Mock the status comment that should be updated in place
   const commentMock = nock("https://api.github.com")
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/456/comments",
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/456/comments")
+    .query({ per_page: 100 })
+    .reply(200, [{ id: 11, ...appCommentAuthor, body: "<!-- advanced-codeowners:status -->\n## 📋 Approvers Required\n" }])
+    .patch(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/comments/11",
       (requestBody) => {
-        assert.ok(requestBody.body.includes("## ✅ Review Approval Received"), "Should contain approval header");
-        assert.ok(requestBody.body.includes("@tclifton_volcano"), "Should mention the reviewer");
-        assert.ok(requestBody.body.includes("Review requests satisfied by this approval"), "Should show satisfied review requests");
-        assert.ok(requestBody.body.includes("Individual owner: @tclifton_volcano"), "Should show individual owner status");
-        assert.ok(requestBody.body.includes("Team owner: @frontend-team"), "Should show team owner");
+        assert.ok(requestBody.body.includes("## 📋 Approvers Required"), "Should contain approvers header");
+        assert.ok(requestBody.body.includes("✅ Approval from @tclifton_volcano satisfies:"), "Should show satisfied review requests");
+        assert.ok(requestBody.body.includes("individual owner @tclifton_volcano"), "Should show individual owner status");
+        assert.ok(requestBody.body.includes("team owner @frontend-team"), "Should show team owner");
         return true;
       }
     )
-    .reply(201, {});
+    .reply(200, {});
+
+  // The approval being handled is the latest review of the reviewer
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/456/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "tclifton_volcano" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
 
   await probot.receive({
     name: "pull_request_review",
@@ -670,10 +741,11 @@ test("handles pull_request_review.submitted event for approved reviews", async f
   assert.ok(configMock.isDone(), "Config file should have been checked");
   assert.ok(filesMock.isDone(), "PR files should have been fetched");
   assert.ok(teamMembershipMock.isDone(), "Team memberships should have been checked");
-  assert.ok(commentMock.isDone(), "Approval comment should have been posted");
+  assert.ok(commentMock.isDone(), "Status comment should have been updated");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
 });
 
-test("ignores pull_request_review.submitted event for non-approved reviews", async function () {
+test("ignores pull_request_review.submitted event for comment-only reviews", async function () {
   // No mocks needed since no API calls should be made
   
   await probot.receive({
@@ -694,7 +766,7 @@ test("ignores pull_request_review.submitted event for non-approved reviews", asy
         }
       },
       review: {
-        state: "changes_requested",
+        state: "commented",
         user: {
           login: "some_reviewer"
         }
@@ -706,6 +778,9 @@ test("ignores pull_request_review.submitted event for non-approved reviews", asy
 });
 
 test("handles pull_request_review.submitted when reviewer doesn't satisfy any requirements", async function () {
+  mockSettingsFile();
+  mockTimeline(999);
+
   // Set CONFIG_PATH environment variable
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -720,14 +795,16 @@ test("handles pull_request_review.submitted when reviewer doesn't satisfy any re
   // Mock the PR files list
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/999/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "frontend/app.js" }
     ]);
 
   // Mock team membership check - user is not a member of any teams
   const teamMembershipMock = nock("https://api.github.com")
-    .get("/orgs/robandpdx/teams/frontend-team/memberships/random_user")
-    .reply(404, { message: "Not Found" });
+    .get("/orgs/robandpdx/teams/frontend-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [{ login: "tclifton_volcano" }]);
 
   // No comment should be posted since the user doesn't satisfy any requirements
 
@@ -769,6 +846,9 @@ test("handles pull_request_review.submitted when reviewer doesn't satisfy any re
 });
 
 test("approves PR when all approval criteria are met", async function () {
+  mockSettingsFile();
+  mockTimeline(456);
+
   // Set CONFIG_PATH and GITHUB_TOKEN environment variables
   process.env.CONFIG_PATH = ".github/approvers";
   process.env.GITHUB_TOKEN = "test-github-token";
@@ -792,6 +872,7 @@ patterns:
   // Mock the PR files list - single file that only requires individual approval
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/456/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "simple/test.js" }
     ]);
@@ -801,6 +882,7 @@ patterns:
   // Mock the reviews list - tclifton_volcano has already approved
   const reviewsMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/456/reviews")
+    .query({ per_page: 100 })
     .reply(200, [
       {
         user: { login: "tclifton_volcano" },
@@ -809,22 +891,15 @@ patterns:
       }
     ]);
 
-  // Mock the approval comment
-  const approvalCommentMock = nock("https://api.github.com")
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/456/comments",
-      (requestBody) => {
-        assert.ok(requestBody.body.includes("## ✅ Review Approval Received"), "Should contain approval header");
-        return true;
-      }
-    )
-    .reply(201, {});
-
-  // Mock the final approval comment
-  const finalCommentMock = nock("https://api.github.com")
+  // Mock the status comment with the final approval
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/456/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
     .post(
       "/repos/robandpdx/advanced-codeowners-aws/issues/456/comments",
       (requestBody) => {
+        assert.ok(requestBody.body.includes("- ✅ `simple/test.js`"), "Should show the file as approved");
         assert.ok(requestBody.body.includes("## 🎉 All Required Approvals Received!"), "Should contain final approval header");
         assert.ok(requestBody.body.includes("@tclifton_volcano"), "Should mention the reviewer");
         assert.ok(requestBody.body.includes("Individual approver"), "Should show individual approval");
@@ -881,8 +956,7 @@ patterns:
   assert.ok(configMock.isDone(), "Config file should have been checked");
   assert.ok(filesMock.isDone(), "PR files should have been fetched");
   assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
-  assert.ok(approvalCommentMock.isDone(), "Approval comment should have been posted");
-  assert.ok(finalCommentMock.isDone(), "Final approval comment should have been posted");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
   assert.ok(prApprovalMock.isDone(), "PR should have been approved");
   
   // Clean up
@@ -890,6 +964,9 @@ patterns:
 });
 
 test("does not approve PR when not all criteria are met", async function () {
+  mockSettingsFile();
+  mockTimeline(789);
+
   // Set CONFIG_PATH environment variable
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -917,6 +994,7 @@ patterns:
   // Mock the PR files list - include a special file that requires special-team only
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/789/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "frontend/app.js" },  // tclifton_volcano can approve this
       { filename: "special/config.txt" }  // requires special-team membership only
@@ -924,14 +1002,17 @@ patterns:
 
   // Mock team membership check - tclifton_volcano is not in special-team
   const teamMembershipMock = nock("https://api.github.com")
-    .get("/orgs/robandpdx/teams/frontend-team/memberships/tclifton_volcano")
-    .reply(404, { message: "Not Found" })
-    .get("/orgs/robandpdx/teams/special-team/memberships/tclifton_volcano")
+    .get("/orgs/robandpdx/teams/frontend-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .get("/orgs/robandpdx/teams/special-team/members")
+    .query({ per_page: 100 })
     .reply(404, { message: "Not Found" });
 
   // Mock the reviews list - only tclifton_volcano has approved
   const reviewsMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/789/reviews")
+    .query({ per_page: 100 })
     .reply(200, [
       {
         user: { login: "tclifton_volcano" },
@@ -940,12 +1021,17 @@ patterns:
       }
     ]);
 
-  // Mock the approval comment
-  const approvalCommentMock = nock("https://api.github.com")
+  // Mock the status comment
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/789/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
     .post(
       "/repos/robandpdx/advanced-codeowners-aws/issues/789/comments",
       (requestBody) => {
-        assert.ok(requestBody.body.includes("## ✅ Review Approval Received"), "Should contain approval header");
+        assert.ok(requestBody.body.includes("✅ Approval from @tclifton_volcano satisfies:"), "Should contain the approval");
+        assert.ok(requestBody.body.includes("- ⏳ `special/config.txt`"), "Should show the file as pending");
+        assert.ok(!requestBody.body.includes("All Required Approvals Received"), "Should not contain final approval");
         return true;
       }
     )
@@ -987,11 +1073,14 @@ patterns:
   assert.ok(filesMock.isDone(), "PR files should have been fetched");
   assert.ok(teamMembershipMock.isDone(), "Team membership should have been checked");
   assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
-  assert.ok(approvalCommentMock.isDone(), "Approval comment should have been posted");
-  // No final approval or comment mocks to verify
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  // No final approval mocks to verify
 });
 
 test("handles missing GITHUB_TOKEN gracefully", async function () {
+  mockSettingsFile();
+  mockTimeline(321);
+
   // Set CONFIG_PATH but no GITHUB_TOKEN
   process.env.CONFIG_PATH = ".github/approvers";
 
@@ -1014,6 +1103,7 @@ patterns:
   // Mock the PR files list - single file that only requires individual approval
   const filesMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/321/files")
+    .query({ per_page: 100 })
     .reply(200, [
       { filename: "simple/test.js" }
     ]);
@@ -1023,6 +1113,7 @@ patterns:
   // Mock the reviews list
   const reviewsMock = nock("https://api.github.com")
     .get("/repos/robandpdx/advanced-codeowners-aws/pulls/321/reviews")
+    .query({ per_page: 100 })
     .reply(200, [
       {
         user: { login: "tclifton_volcano" },
@@ -1031,33 +1122,15 @@ patterns:
       }
     ]);
 
-  // Mock the approval comment
-  const approvalCommentMock = nock("https://api.github.com")
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/321/comments",
-      (requestBody) => {
-        assert.ok(requestBody.body.includes("## ✅ Review Approval Received"), "Should contain approval header");
-        return true;
-      }
-    )
-    .reply(201, {});
-
-  // Mock the final approval comment
-  const finalCommentMock = nock("https://api.github.com")
+  // Mock the status comment with the final approval and the approval error
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/321/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
     .post(
       "/repos/robandpdx/advanced-codeowners-aws/issues/321/comments",
       (requestBody) => {
         assert.ok(requestBody.body.includes("## 🎉 All Required Approvals Received!"), "Should contain final approval header");
-        return true;
-      }
-    )
-    .reply(201, {});
-
-  // Mock the error comment for failed approval
-  const errorCommentMock = nock("https://api.github.com")
-    .post(
-      "/repos/robandpdx/advanced-codeowners-aws/issues/321/comments",
-      (requestBody) => {
         assert.ok(requestBody.body.includes("⚠️ All approval criteria have been met, but automatic approval failed"), "Should contain error message");
         assert.ok(requestBody.body.includes("GITHUB_TOKEN configuration"), "Should mention GITHUB_TOKEN issue");
         return true;
@@ -1100,9 +1173,3906 @@ patterns:
   assert.ok(configMock.isDone(), "Config file should have been checked");
   assert.ok(filesMock.isDone(), "PR files should have been fetched");
   assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
-  assert.ok(approvalCommentMock.isDone(), "Approval comment should have been posted");
-  assert.ok(finalCommentMock.isDone(), "Final approval comment should have been posted");
-  assert.ok(errorCommentMock.isDone(), "Error comment should have been posted");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+});
+
+test("creates a failed check run when approvers are requested", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(124);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, {
+      content: configContent,
+      encoding: "base64"
+    });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/124/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "frontend/app.js" },
+      { filename: "docs/readme.md" }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/124/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/124/comments")
+    .reply(201, {});
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/124/requested_reviewers")
+    .reply(201, {});
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/abc123/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.name, "advanced-codeowners");
+        assert.is(requestBody.head_sha, "abc123");
+        assert.is(requestBody.status, "completed");
+        assert.is(requestBody.conclusion, "failure");
+        assert.is(requestBody.output.title, "0 of 1 file(s) approved");
+        assert.ok(requestBody.output.text.includes("| `frontend/app.js` | tclifton_volcano | frontend-team | ⏳ Pending |"), "Should list pending file");
+        assert.ok(requestBody.output.text.includes("| `docs/readme.md` | - | - | ➖ No approvers |"), "Should list file without approvers");
+        return true;
+      }
+    )
+    .reply(201, { id: 42 });
+
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/124/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  await probot.receive({
+    name: "pull_request",
+    id: "14",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 124,
+        base: { ref: "main" },
+        head: { sha: "abc123" }
+      },
+      requested_team: {
+        name: "frontend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(checkRunMock.isDone(), "Check run should have been created");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+});
+
+test("completes the check run as success when all approval criteria are met", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(654);
+
+  const simpleConfigContent = Buffer.from(`
+patterns:
+  - pattern: "simple/**/*"
+    owners:
+    - "tclifton_volcano"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, {
+      content: simpleConfigContent,
+      encoding: "base64"
+    });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/654/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "simple/test.js" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/654/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "tclifton_volcano" },
+        state: "APPROVED",
+        commit_id: "def456",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/654/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/654/comments")
+    .reply(201, {});
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/def456/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 1, check_runs: [{ id: 42 }] })
+    .patch(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs/42",
+      (requestBody) => {
+        assert.is(requestBody.status, "completed");
+        assert.is(requestBody.conclusion, "success");
+        assert.is(requestBody.output.title, "1 of 1 file(s) approved");
+        assert.ok(requestBody.output.text.includes("| `simple/test.js` | tclifton_volcano | - | ✅ Approved |"), "Should list approved file");
+        return true;
+      }
+    )
+    .reply(200, { id: 42 });
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "15",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 654,
+        base: { ref: "main" },
+        head: { sha: "def456" },
+        requested_teams: [
+          { name: "frontend-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "tclifton_volcano" }
+      }
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been checked");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(checkRunMock.isDone(), "Check run should have been completed");
+});
+
+test("completes the check run as success when the owners approved before the team was requested", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(655);
+
+  const simpleConfigContent = Buffer.from(`
+patterns:
+  - pattern: "simple/**/*"
+    owners:
+    - "tclifton_volcano"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, {
+      content: simpleConfigContent,
+      encoding: "base64"
+    });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/655/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "simple/test.js" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/655/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "tclifton_volcano" },
+        state: "APPROVED",
+        commit_id: "def655",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/655/requested_reviewers")
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/655/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/655/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ✅ `simple/test.js`"), "Should show the earlier approval");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/def655/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.status, "completed");
+        assert.is(requestBody.conclusion, "success");
+        assert.is(requestBody.output.title, "1 of 1 file(s) approved");
+        return true;
+      }
+    )
+    .reply(201, { id: 43 });
+
+  await probot.receive({
+    name: "pull_request",
+    id: "44",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 655,
+        base: { ref: "main" },
+        head: { sha: "def655" }
+      },
+      requested_team: {
+        name: "frontend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(checkRunMock.isDone(), "Check run should have been completed");
+});
+
+test("completes the check run as success when no file requires approval", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(656);
+
+  const simpleConfigContent = Buffer.from(`
+patterns:
+  - pattern: "simple/**/*"
+    owners:
+    - "tclifton_volcano"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, {
+      content: simpleConfigContent,
+      encoding: "base64"
+    });
+
+  // A docs-only change, no pattern with owners matches it
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/656/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "docs/readme.md" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/656/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/656/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/656/comments")
+    .reply(201, {});
+
+  // The check run is a required status check, so it must not block the pull request
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/def656/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.status, "completed");
+        assert.is(requestBody.conclusion, "success");
+        assert.is(requestBody.output.title, "No file requires approval");
+        return true;
+      }
+    )
+    .reply(201, { id: 43 });
+
+  await probot.receive({
+    name: "pull_request",
+    id: "52",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 656,
+        base: { ref: "main" },
+        head: { sha: "def656" }
+      },
+      requested_team: {
+        name: "frontend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(checkRunMock.isDone(), "Check run should have been completed");
+});
+
+test("paginates the pull request files when finding approvers", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(125);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, {
+      content: configContent,
+      encoding: "base64"
+    });
+
+  const firstPage = Array.from({ length: 100 }, (_, i) => ({ filename: `frontend/component${i}.js` }));
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/125/files")
+    .query({ per_page: 100 })
+    .reply(200, firstPage, {
+      link: '<https://api.github.com/repositories/1/pulls/125/files?per_page=100&page=2>; rel="next"'
+    })
+    .get("/repositories/1/pulls/125/files")
+    .query({ per_page: 100, page: 2 })
+    .reply(200, [
+      { filename: "backend/report.pdf" }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/125/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/125/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("frontend/component99.js"), "Should list files from the first page");
+        assert.ok(requestBody.body.includes("backend/report.pdf"), "Should list files from the second page");
+        assert.ok(requestBody.body.includes("**Summary:** 101 file(s) requiring approval"), "Should count every file");
+        assert.ok(!requestBody.body.includes("more files than the GitHub API can list"), "Should not warn about missing files");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/125/requested_reviewers",
+      (requestBody) => {
+        assert.ok(requestBody.team_reviewers.includes("pfd-team"), "Should include owners of second page files");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/125/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  await probot.receive({
+    name: "pull_request",
+    id: "16",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 125,
+        changed_files: 101,
+        base: { ref: "main" }
+      },
+      requested_team: {
+        name: "frontend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "Every page of PR files should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+});
+
+test("warns when the pull request has more files than the API can list", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(126);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, {
+      content: configContent,
+      encoding: "base64"
+    });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/126/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "frontend/app.js" }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/126/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/126/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("⚠️ This pull request changes more files than the GitHub API can list"), "Should warn about missing files");
+        assert.ok(requestBody.body.includes("only computed for the first 1 file(s)"), "Should mention how many files were listed");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/126/requested_reviewers")
+    .reply(201, {});
+
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/126/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  await probot.receive({
+    name: "pull_request",
+    id: "17",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 126,
+        changed_files: 3500,
+        base: { ref: "main" }
+      },
+      requested_team: {
+        name: "frontend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(commentMock.isDone(), "Warning comment should have been posted");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+});
+
+const frontendConfigContent = Buffer.from(`
+patterns:
+  - pattern: "frontend/**/*"
+    owners:
+    - "alice"
+`).toString('base64');
+
+const backendConfigContent = Buffer.from(`
+patterns:
+  - pattern: "backend/**/*"
+    owners:
+    - "bob"
+`).toString('base64');
+
+test("waits for every -approvers team config to be satisfied", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(457);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: frontendConfigContent, encoding: "base64" })
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: backendConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/457/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "frontend/app.js" },
+      { filename: "backend/api.js" }
+    ]);
+
+  // Only the frontend owner has approved so far
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/457/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/457/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/457/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("individual owner @alice"), "Should show individual owner status");
+        assert.ok(requestBody.body.includes("- ✅ `frontend/app.js`"), "Should show the frontend file as approved");
+        assert.ok(requestBody.body.includes("- ⏳ `backend/api.js`"), "Should show the backend file as pending");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "18",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 457,
+        base: { ref: "main" },
+        requested_teams: [
+          { name: "frontend-approvers" },
+          { name: "backend-approvers" },
+          { name: "frontend" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "alice" }
+      }
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Both config files should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  // No final approval mocks, the backend-approvers requirements are not met yet
+});
+
+test("evaluates -approvers teams GitHub dropped from the requested teams", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+
+  // bob reviewed for backend-approvers earlier, so GitHub no longer lists the team as requested.
+  // docs-approvers was requested by mistake and removed again, so its config no longer applies.
+  const timelineMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/462/timeline")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { event: "review_requested", requested_team: { name: "frontend-approvers" } },
+      { event: "review_requested", requested_team: { name: "docs-approvers" } },
+      { event: "review_requested", requested_team: { name: "backend-approvers" } },
+      { event: "review_request_removed", requested_team: { name: "docs-approvers" } }
+    ]);
+
+  const removedConfigMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fdocs-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: backendConfigContent, encoding: "base64" });
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: frontendConfigContent, encoding: "base64" })
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: backendConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/462/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "frontend/app.js" },
+      { filename: "backend/api.js" }
+    ]);
+
+  // bob only commented, the backend file is not approved
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/462/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "bob" },
+        state: "COMMENTED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      },
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:01:00Z"
+      }
+    ]);
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/abc462/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "failure");
+        assert.ok(requestBody.output.text.includes("| `backend/api.js` | bob | - | ⏳ Pending |"), "Should still require the dropped team's owner");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/462/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/462/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ⏳ `backend/api.js`"), "Should show the backend file as pending");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  // The bot must not approve
+  const approvalMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/462/reviews")
+    .reply(200, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "45",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 462,
+        base: { ref: "main" },
+        head: { sha: "abc462" },
+        requested_teams: [
+          { name: "frontend-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "alice" }
+      }
+    },
+  });
+
+  delete process.env.GITHUB_TOKEN;
+
+  assert.ok(timelineMock.isDone(), "Timeline should have been read");
+  assert.ok(configMock.isDone(), "Both config files should have been fetched");
+  assert.not.ok(removedConfigMock.isDone(), "Config of the removed team should not have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(checkRunMock.isDone(), "Check run should have been completed");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.not.ok(approvalMock.isDone(), "PR should not have been approved");
+});
+
+test("approves PR once every -approvers team config is satisfied", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+  mockTimeline(458);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: frontendConfigContent, encoding: "base64" })
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: backendConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/458/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "frontend/app.js" },
+      { filename: "backend/api.js" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/458/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      },
+      {
+        user: { login: "bob" },
+        state: "APPROVED",
+        submitted_at: "2023-01-02T00:00:00Z"
+      }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/458/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/458/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("individual owner @bob"), "Should show individual owner status");
+        assert.ok(requestBody.body.includes("## 🎉 All Required Approvals Received!"), "Should contain final approval header");
+        assert.ok(requestBody.body.includes("@alice"), "Should mention the frontend owner");
+        assert.ok(requestBody.body.includes("@bob"), "Should mention the backend owner");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const prApprovalMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/458/reviews")
+    .reply(200, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "19",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 458,
+        base: { ref: "main" },
+        requested_teams: [
+          { name: "frontend-approvers" },
+          { name: "backend-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "bob" }
+      }
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Both config files should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Approval comments should have been posted");
+  assert.ok(prApprovalMock.isDone(), "PR should have been approved");
+
+  delete process.env.GITHUB_TOKEN;
+});
+
+test("dismisses the bot approval when new commits change approved files", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+
+  const simpleConfigContent = Buffer.from(`
+patterns:
+  - pattern: "simple/**/*"
+    owners:
+    - "tclifton_volcano"
+`).toString('base64');
+
+  // The team is no longer requested once the bot approved, so it is found in the timeline
+  const timelineMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/460/timeline")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { event: "review_requested", requested_team: { name: "frontend-approvers" } },
+      { event: "review_requested", requested_reviewer: { login: "tclifton_volcano" } }
+    ]);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: simpleConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/460/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "simple/test.js" },
+      { filename: "simple/other.js" }
+    ]);
+
+  const reviews = [
+    {
+      id: 1,
+      user: { login: "tclifton_volcano" },
+      state: "APPROVED",
+      commit_id: "aaa111",
+      submitted_at: "2023-01-01T00:00:00Z"
+    },
+    {
+      id: 2,
+      user: { login: "codeowners-bot" },
+      state: "APPROVED",
+      commit_id: "aaa111",
+      submitted_at: "2023-01-01T00:01:00Z"
+    }
+  ];
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/460/reviews")
+    .query({ per_page: 100 })
+    .reply(200, reviews)
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/460/reviews")
+    .query({ per_page: 100 })
+    .reply(200, reviews);
+
+  const compareMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/compare/aaa111...bbb222")
+    .reply(200, {
+      files: [
+        { filename: "simple/test.js", status: "modified" }
+      ]
+    });
+
+  const botUserMock = nock("https://api.github.com")
+    .get("/user")
+    .reply(200, { login: "codeowners-bot" });
+
+  const dismissMock = nock("https://api.github.com")
+    .put(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/460/reviews/2/dismissals",
+      (requestBody) => {
+        assert.ok(requestBody.message.includes("`simple/test.js`"), "Should name the changed file");
+        return true;
+      }
+    )
+    .reply(200, {});
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/bbb222/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "failure");
+        assert.ok(requestBody.output.text.includes("| `simple/test.js` | tclifton_volcano | - | ⏳ Pending |"), "Changed file should need approval again");
+        assert.ok(requestBody.output.text.includes("| `simple/other.js` | tclifton_volcano | - | ✅ Approved |"), "Unchanged file should stay approved");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/460/requested_reviewers",
+      (requestBody) => {
+        assert.equal(requestBody, { reviewers: ["tclifton_volcano"] });
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/460/comments")
+    .query({ per_page: 100 })
+    .reply(200, [{ id: 5, ...appCommentAuthor, body: "<!-- advanced-codeowners:status -->\n## 📋 Approvers Required\n" }])
+    .patch(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/comments/5",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ⏳ `simple/test.js`"), "Changed file should need approval again");
+        assert.ok(requestBody.body.includes("- ✅ `simple/other.js`"), "Unchanged file should stay approved");
+        assert.ok(requestBody.body.includes("🔄 The automatic approval has been dismissed"), "Should explain the dismissal");
+        assert.ok(requestBody.body.includes("✅ Review requests have been sent to:"), "Should confirm the review request");
+        return true;
+      }
+    )
+    .reply(200, {});
+
+  await probot.receive({
+    name: "pull_request",
+    id: "20",
+    payload: {
+      action: "synchronize",
+      before: "aaa111",
+      after: "bbb222",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 460,
+        base: { ref: "main" },
+        head: { sha: "bbb222" },
+        requested_teams: []
+      }
+    },
+  });
+
+  assert.ok(timelineMock.isDone(), "Timeline should have been read");
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(compareMock.isDone(), "Pushed changes should have been compared");
+  assert.ok(botUserMock.isDone(), "Bot user should have been looked up");
+  assert.ok(dismissMock.isDone(), "Bot approval should have been dismissed");
+  assert.ok(checkRunMock.isDone(), "Check run should have been updated");
+  assert.ok(reviewRequestMock.isDone(), "Review should have been re-requested");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+
+  delete process.env.GITHUB_TOKEN;
+});
+
+test("keeps the approval when new commits only change files without owners", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+
+  const simpleConfigContent = Buffer.from(`
+patterns:
+  - pattern: "simple/**/*"
+    owners:
+    - "tclifton_volcano"
+`).toString('base64');
+
+  const timelineMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/461/timeline")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: simpleConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/461/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "simple/test.js" },
+      { filename: "README.md" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/461/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        id: 1,
+        user: { login: "tclifton_volcano" },
+        state: "APPROVED",
+        commit_id: "ccc333",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const compareMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/compare/ccc333...ddd444")
+    .reply(200, {
+      files: [
+        { filename: "README.md", status: "modified" }
+      ]
+    });
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/ddd444/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "success");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request",
+    id: "21",
+    payload: {
+      action: "synchronize",
+      before: "ccc333",
+      after: "ddd444",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 461,
+        base: { ref: "main" },
+        head: { sha: "ddd444" },
+        requested_teams: [
+          { name: "frontend-approvers" }
+        ]
+      }
+    },
+  });
+
+  assert.ok(timelineMock.isDone(), "Timeline should have been read");
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(compareMock.isDone(), "Pushed changes should have been compared");
+  assert.ok(checkRunMock.isDone(), "Check run should have been updated");
+  // No dismissal or review request mocks, the approval still stands
+});
+
+test("keeps approvals of files changed by a push outdated on later reviews", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+  mockTimeline(487);
+
+  const splitConfigContent = Buffer.from(`
+patterns:
+  - pattern: "simple/**/*"
+    owners:
+    - "tclifton_volcano"
+  - pattern: "other/**/*"
+    owners:
+    - "alice"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: splitConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/487/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "simple/test.js" },
+      { filename: "other/app.js" }
+    ]);
+
+  // tclifton_volcano approved before the push to bbb487, alice approves the new head afterwards
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/487/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "tclifton_volcano" },
+        state: "APPROVED",
+        commit_id: "aaa487",
+        submitted_at: "2023-01-01T00:00:00Z"
+      },
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        commit_id: "bbb487",
+        submitted_at: "2023-01-02T00:00:00Z"
+      }
+    ]);
+
+  const compareMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/compare/aaa487...bbb487")
+    .reply(200, {
+      files: [
+        { filename: "simple/test.js", status: "modified" }
+      ]
+    });
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/bbb487/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 1, check_runs: [{ id: 42 }] })
+    .patch(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs/42",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "failure");
+        assert.ok(requestBody.output.text.includes("| `simple/test.js` | tclifton_volcano | - | ⏳ Pending |"), "Changed file should still need approval");
+        assert.ok(requestBody.output.text.includes("| `other/app.js` | alice | - | ✅ Approved |"), "Should count the new approval");
+        return true;
+      }
+    )
+    .reply(200, { id: 42 });
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/487/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/487/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ⏳ `simple/test.js`"), "Changed file should still need approval");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  // The bot must not approve
+  const approvalMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/487/reviews")
+    .reply(200, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "53",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 487,
+        base: { ref: "main" },
+        head: { sha: "bbb487" },
+        requested_teams: [
+          { name: "frontend-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "alice" }
+      }
+    },
+  });
+
+  delete process.env.GITHUB_TOKEN;
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(compareMock.isDone(), "Changes since the outdated approval should have been compared");
+  assert.ok(checkRunMock.isDone(), "Check run should have been updated");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.not.ok(approvalMock.isDone(), "PR should not have been approved");
+});
+
+const paymentsConfigContent = Buffer.from(`
+patterns:
+  - pattern: "backend/payments/**"
+    team-owners:
+    - "payments-team"
+    min-approvals: 2
+`).toString('base64');
+
+test("requires the minimum number of distinct approvals from a team", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(470);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: paymentsConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/470/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/payments/charge.js" }
+    ]);
+
+  const teamMembershipMock = nock("https://api.github.com")
+    .get("/orgs/robandpdx/teams/payments-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [{ login: "alice" }, { login: "carol" }]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/470/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/470/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/470/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("team owner @payments-team"), "Should show team owner");
+        assert.ok(requestBody.body.includes("- ⏳ `backend/payments/charge.js`"), "Should show the file as pending");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "22",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 470,
+        base: { ref: "main" },
+        requested_teams: [
+          { name: "backend-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "alice" }
+      }
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(teamMembershipMock.isDone(), "Team membership should have been checked");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  // No final approval mocks, one approval from payments-team is not enough
+});
+
+test("approves PR once the minimum number of distinct team approvals is reached", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+  mockTimeline(471);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: paymentsConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/471/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/payments/charge.js" }
+    ]);
+
+  const teamMembershipMock = nock("https://api.github.com")
+    .get("/orgs/robandpdx/teams/payments-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [{ login: "alice" }, { login: "carol" }]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/471/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      },
+      {
+        user: { login: "carol" },
+        state: "APPROVED",
+        submitted_at: "2023-01-02T00:00:00Z"
+      }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/471/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/471/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("## 🎉 All Required Approvals Received!"), "Should contain final approval header");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const prApprovalMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/471/reviews")
+    .reply(200, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "23",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 471,
+        base: { ref: "main" },
+        requested_teams: [
+          { name: "backend-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "carol" }
+      }
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(teamMembershipMock.isDone(), "Team memberships should have been checked");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(prApprovalMock.isDone(), "PR should have been approved");
+
+  delete process.env.GITHUB_TOKEN;
+});
+
+test("evaluates any-of and all-of owners per file", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(472);
+
+  const modeConfigContent = Buffer.from(`
+patterns:
+  - pattern: "shared/**"
+    mode: any
+    owners:
+    - "alice"
+    - "bob"
+  - pattern: "shared/secrets/**"
+    mode: all
+    owners:
+    - "carol"
+    - "bob"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fshared-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: modeConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/472/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "shared/util.js" },
+      { filename: "shared/secrets/key.txt" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/472/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "bob" },
+        state: "APPROVED",
+        commit_id: "eee555",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/472/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/472/comments")
+    .reply(201, {});
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/eee555/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "failure");
+        assert.ok(requestBody.output.text.includes("| `shared/util.js` | alice, bob | - | ✅ Approved |"), "Any of the owners should satisfy the file");
+        assert.ok(requestBody.output.text.includes("| `shared/secrets/key.txt` | alice, bob, carol | - | ⏳ Pending |"), "Every owner of the all-of pattern should be required");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "24",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 472,
+        base: { ref: "main" },
+        head: { sha: "eee555" },
+        requested_teams: [
+          { name: "shared-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "bob" }
+      }
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Approval comment should have been posted");
+  assert.ok(checkRunMock.isDone(), "Check run should have been updated");
+});
+
+test("exclusive and exclude patterns limit the owners of a file", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(127);
+
+  const exclusiveConfigContent = Buffer.from(`
+patterns:
+  - pattern: "frontend/**/*.pdf"
+    exclusive: true
+    team-owners:
+    - "pdf-team"
+  - pattern: "frontend/**/*"
+    exclude:
+    - "frontend/legacy/**"
+    team-owners:
+    - "frontend-team"
+  - pattern: "frontend/**/*.pdf"
+    team-owners:
+    - "unreachable-team"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: exclusiveConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/127/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "frontend/guide.pdf" },
+      { filename: "frontend/legacy/old.js" },
+      { filename: "frontend/app.js" }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/127/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/127/comments")
+    .reply(201, {});
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/127/requested_reviewers",
+      (requestBody) => {
+        assert.equal(requestBody, { team_reviewers: ["pdf-team", "frontend-team"] });
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/fff666/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.ok(requestBody.output.text.includes("| `frontend/guide.pdf` | - | pdf-team | ⏳ Pending |"), "Exclusive pattern should be the only owner");
+        assert.ok(requestBody.output.text.includes("| `frontend/legacy/old.js` | - | - | ➖ No approvers |"), "Excluded file should not be owned");
+        assert.ok(requestBody.output.text.includes("| `frontend/app.js` | - | frontend-team | ⏳ Pending |"), "Other files should keep additive owners");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/127/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  await probot.receive({
+    name: "pull_request",
+    id: "25",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 127,
+        base: { ref: "main" },
+        head: { sha: "fff666" }
+      },
+      requested_team: {
+        name: "frontend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(checkRunMock.isDone(), "Check run should have been created");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+});
+
+test("reports schema errors of an invalid config with line numbers", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(128);
+
+  const invalidConfigContent = Buffer.from(`patterns:
+  - pattern: "frontend/**/*"
+    team-owner:
+    - "frontend-team"
+  - pattern: 42
+    mode: some
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: invalidConfigContent, encoding: "base64" });
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/abc789/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "failure");
+        assert.is(requestBody.output.title, "Invalid approvers configuration");
+        assert.equal(requestBody.output.annotations, [
+          {
+            path: ".github/approvers/frontend-approvers.yaml",
+            start_line: 3,
+            end_line: 3,
+            annotation_level: "failure",
+            message: "`patterns[0]` has unknown property `team-owner`"
+          },
+          {
+            path: ".github/approvers/frontend-approvers.yaml",
+            start_line: 5,
+            end_line: 5,
+            annotation_level: "failure",
+            message: "`patterns[1].pattern` must be of type string, got integer"
+          },
+          {
+            path: ".github/approvers/frontend-approvers.yaml",
+            start_line: 6,
+            end_line: 6,
+            annotation_level: "failure",
+            message: "`patterns[1].mode` must be one of: any, all"
+          }
+        ]);
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/128/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/128/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("## ❌ Invalid Approvers Configuration"), "Should contain invalid config header");
+        assert.ok(requestBody.body.includes("**`.github/approvers/frontend-approvers.yaml`**"), "Should name the config file");
+        assert.ok(requestBody.body.includes("- Line 3: `patterns[0]` has unknown property `team-owner`"), "Should report the typo with its line");
+        assert.ok(!requestBody.body.includes("No approvers configuration found"), "Should not report the file as missing");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request",
+    id: "26",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 128,
+        base: { ref: "main" },
+        head: { sha: "abc789" }
+      },
+      requested_team: {
+        name: "frontend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(checkRunMock.isDone(), "Check run should have been failed");
+  assert.ok(commentMock.isDone(), "Status comment should report the errors");
+});
+
+test("reports YAML syntax errors of a config with line numbers", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(129);
+
+  const brokenConfigContent = Buffer.from(`patterns:
+  - pattern: "frontend/**/*"
+    owners: [alice
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: brokenConfigContent, encoding: "base64" });
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/129/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/129/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- Line 4: Invalid YAML:"), "Should report the syntax error with its line");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request",
+    id: "27",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 129,
+        base: { ref: "main" }
+      },
+      requested_team: {
+        name: "frontend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should report the errors");
+});
+
+test("lints approvers configs changed in a pull request", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+
+  const changedConfigContent = Buffer.from(`patterns:
+  - pattern: "frontend/**/*.pdf"
+    exclusive: true
+    team-owners:
+    - "pdf-team"
+  - pattern: "frontend/docs/*.pdf"
+    owners:
+    - "ghost-user"
+  - pattern: "mobile/**"
+    team-owners:
+    - "frontend-team"
+    - "missing-team"
+`).toString('base64');
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/130/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: ".github/approvers/frontend-approvers.yaml", status: "modified" },
+      { filename: ".github/approvers/old-approvers.yaml", status: "removed" },
+      { filename: "frontend/app.js", status: "modified" }
+    ]);
+
+  // The config is read from the head commit of the PR
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "head130" })
+    .reply(200, { content: changedConfigContent, encoding: "base64" });
+
+  const ownersMock = nock("https://api.github.com")
+    .get("/orgs/robandpdx/teams/pdf-team")
+    .reply(200, { slug: "pdf-team" })
+    .get("/users/ghost-user")
+    .reply(404, { message: "Not Found" })
+    .get("/orgs/robandpdx/teams/frontend-team")
+    .reply(200, { slug: "frontend-team" })
+    .get("/orgs/robandpdx/teams/missing-team")
+    .reply(404, { message: "Not Found" });
+
+  const treeMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/git/trees/head130")
+    .query({ recursive: "true" })
+    .reply(200, {
+      truncated: false,
+      tree: [
+        { path: "frontend", type: "tree" },
+        { path: "frontend/guide.pdf", type: "blob" },
+        { path: "frontend/docs/manual.pdf", type: "blob" },
+        { path: "frontend/app.js", type: "blob" }
+      ]
+    });
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/head130/check-runs")
+    .query({ check_name: "advanced-codeowners/config" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.name, "advanced-codeowners/config");
+        assert.is(requestBody.conclusion, "failure");
+        assert.is(requestBody.output.title, "2 error(s), 2 warning(s) in approvers configs");
+        const annotations = requestBody.output.annotations.map(annotation =>
+          `${annotation.path}:${annotation.start_line} ${annotation.annotation_level} ${annotation.message}`);
+        assert.equal(annotations, [
+          ".github/approvers/frontend-approvers.yaml:8 failure Unknown user `ghost-user`",
+          ".github/approvers/frontend-approvers.yaml:12 failure Unknown team `missing-team` in organization `robandpdx`",
+          ".github/approvers/frontend-approvers.yaml:6 warning Pattern `frontend/docs/*.pdf` never applies, every file it matches is claimed by the earlier exclusive pattern(s) `frontend/**/*.pdf`",
+          ".github/approvers/frontend-approvers.yaml:9 warning Pattern `mobile/**` does not match any file in the repository"
+        ]);
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request",
+    id: "28",
+    payload: {
+      action: "opened",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 130,
+        base: { ref: "main" },
+        head: { sha: "head130" }
+      }
+    },
+  });
+
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(configMock.isDone(), "Changed config should have been read from the head commit");
+  assert.ok(ownersMock.isDone(), "Owners should have been looked up");
+  assert.ok(treeMock.isDone(), "Repository tree should have been fetched");
+  assert.ok(checkRunMock.isDone(), "Lint check run should have been published");
+});
+
+const blockingConfigContent = Buffer.from(`
+patterns:
+  - pattern: "backend/**"
+    team-owners:
+    - "backend-team"
+    block-on-changes-requested: true
+`).toString('base64');
+
+test("blocks approval while an owning team member has requested changes", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+  mockTimeline(473);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: blockingConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/473/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/api.js" }
+    ]);
+
+  const teamMembershipMock = nock("https://api.github.com")
+    .get("/orgs/robandpdx/teams/backend-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [{ login: "alice" }, { login: "carol" }]);
+
+  // A later comment from carol does not replace the change request
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/473/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "carol" },
+        state: "CHANGES_REQUESTED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      },
+      {
+        user: { login: "carol" },
+        state: "COMMENTED",
+        submitted_at: "2023-01-02T00:00:00Z"
+      },
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        submitted_at: "2023-01-03T00:00:00Z"
+      }
+    ]);
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/fff666/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "failure");
+        assert.ok(requestBody.output.summary.includes("blocked by changes requested by @carol"), "Should name the blocker in the summary");
+        assert.ok(requestBody.output.text.includes("| `backend/api.js` | - | backend-team | ⛔ Changes requested by @carol |"), "Should name the blocker of the file");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/473/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/473/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ⛔ `backend/api.js` (changes requested by @carol)"), "Should name the blocker");
+        assert.ok(!requestBody.body.includes("All Required Approvals Received"), "Should not contain final approval");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "29",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 473,
+        base: { ref: "main" },
+        head: { sha: "fff666" },
+        requested_teams: [
+          { name: "backend-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "alice" }
+      }
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(teamMembershipMock.isDone(), "Team memberships should have been checked");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(checkRunMock.isDone(), "Check run should have been failed");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  // No PR approval mock, the change request blocks the approval
+
+  delete process.env.GITHUB_TOKEN;
+});
+
+test("fails the check and dismisses the bot approval when an owner requests changes afterwards", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+  mockTimeline(485);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: blockingConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/485/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/api.js" }
+    ]);
+
+  const teamMembershipMock = nock("https://api.github.com")
+    .get("/orgs/robandpdx/teams/backend-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [{ login: "alice" }, { login: "carol" }]);
+
+  // The bot approved once alice approved, carol requested changes after that
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/485/reviews")
+    .query({ per_page: 100 })
+    .times(2)
+    .reply(200, [
+      {
+        id: 1,
+        user: { login: "alice" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      },
+      {
+        id: 2,
+        user: { login: "codeowners-bot" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:01:00Z"
+      },
+      {
+        id: 3,
+        user: { login: "carol" },
+        state: "CHANGES_REQUESTED",
+        submitted_at: "2023-01-02T00:00:00Z"
+      }
+    ]);
+
+  const botUserMock = nock("https://api.github.com")
+    .get("/user")
+    .reply(200, { login: "codeowners-bot" });
+
+  const dismissMock = nock("https://api.github.com")
+    .put(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/485/reviews/2/dismissals",
+      (requestBody) => {
+        assert.is(requestBody.message, "Changes were requested by @carol.");
+        return true;
+      }
+    )
+    .reply(200, {});
+
+  // The check run completed as success before the change request
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/fff485/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 1, check_runs: [{ id: 42 }] })
+    .patch(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs/42",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "failure");
+        assert.ok(requestBody.output.text.includes("| `backend/api.js` | - | backend-team | ⛔ Changes requested by @carol |"), "Should name the blocker of the file");
+        return true;
+      }
+    )
+    .reply(200, { id: 42 });
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/485/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/485/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ⛔ `backend/api.js` (changes requested by @carol)"), "Should name the blocker");
+        assert.ok(requestBody.body.includes("🔄 The automatic approval has been dismissed. Changes were requested by @carol."), "Should explain the dismissal");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "46",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 485,
+        base: { ref: "main" },
+        head: { sha: "fff485" },
+        requested_teams: [
+          { name: "backend-approvers" }
+        ]
+      },
+      review: {
+        state: "changes_requested",
+        user: { login: "carol" }
+      }
+    },
+  });
+
+  delete process.env.GITHUB_TOKEN;
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(teamMembershipMock.isDone(), "Team memberships should have been checked");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(botUserMock.isDone(), "Bot user should have been looked up");
+  assert.ok(dismissMock.isDone(), "Bot approval should have been dismissed");
+  assert.ok(checkRunMock.isDone(), "Check run should have been failed");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+});
+
+test("approves the pull request again once the blocking review is dismissed", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+  mockTimeline(486);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: blockingConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/486/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/api.js" }
+    ]);
+
+  const teamMembershipMock = nock("https://api.github.com")
+    .get("/orgs/robandpdx/teams/backend-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [{ login: "alice" }, { login: "carol" }]);
+
+  // The bot approval was dismissed with the change request, which is now dismissed too
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/486/reviews")
+    .query({ per_page: 100 })
+    .times(2)
+    .reply(200, [
+      {
+        id: 1,
+        user: { login: "alice" },
+        state: "APPROVED",
+        commit_id: "fff486",
+        submitted_at: "2023-01-01T00:00:00Z"
+      },
+      {
+        id: 2,
+        user: { login: "codeowners-bot" },
+        state: "DISMISSED",
+        commit_id: "fff486",
+        submitted_at: "2023-01-01T00:01:00Z"
+      },
+      {
+        id: 3,
+        user: { login: "carol" },
+        state: "DISMISSED",
+        commit_id: "fff486",
+        submitted_at: "2023-01-02T00:00:00Z"
+      }
+    ]);
+
+  const botUserMock = nock("https://api.github.com")
+    .get("/user")
+    .reply(200, { login: "codeowners-bot" });
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/fff486/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 1, check_runs: [{ id: 42 }] })
+    .patch(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs/42",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "success");
+        return true;
+      }
+    )
+    .reply(200, { id: 42 });
+
+  const approvalMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/486/reviews",
+      (requestBody) => {
+        assert.is(requestBody.event, "APPROVE");
+        return true;
+      }
+    )
+    .reply(200, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/486/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/486/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ✅ `backend/api.js`"), "Should show the file as approved");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "47",
+    payload: {
+      action: "dismissed",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 486,
+        base: { ref: "main" },
+        head: { sha: "fff486" },
+        requested_teams: [
+          { name: "backend-approvers" }
+        ]
+      },
+      review: {
+        state: "dismissed",
+        user: { login: "carol" }
+      }
+    },
+  });
+
+  delete process.env.GITHUB_TOKEN;
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(teamMembershipMock.isDone(), "Team memberships should have been checked");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(botUserMock.isDone(), "Bot user should have been looked up");
+  assert.ok(checkRunMock.isDone(), "Check run should have been completed");
+  assert.ok(approvalMock.isDone(), "PR should have been approved");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+});
+
+test("only counts approvals of older commits for files unchanged since", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(474);
+
+  const latestCommitConfigContent = Buffer.from(`
+require-approval-on-latest-commit: true
+patterns:
+  - pattern: "src/**"
+    owners:
+    - "alice"
+  - pattern: "docs/**"
+    owners:
+    - "alice"
+    require-approval-on-latest-commit: changed-files
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Ffrontend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: latestCommitConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/474/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "src/app.js" },
+      { filename: "docs/guide.md" }
+    ]);
+
+  // alice approved an older commit
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/474/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        commit_id: "old111",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const compareMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/compare/old111...new222")
+    .reply(200, { files: [{ filename: "src/app.js" }] });
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/new222/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "failure");
+        assert.is(requestBody.output.title, "1 of 2 file(s) approved");
+        assert.ok(requestBody.output.text.includes("| `src/app.js` | alice | - | ⏳ Pending |"), "Approval of an older commit should not count");
+        assert.ok(requestBody.output.text.includes("| `docs/guide.md` | alice | - | ✅ Approved |"), "Approval should count for a file unchanged since");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/474/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/474/comments")
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "30",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 474,
+        base: { ref: "main" },
+        head: { sha: "new222" },
+        requested_teams: [
+          { name: "frontend-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "alice" }
+      }
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(compareMock.isDone(), "Reviewed commit should have been compared to the head");
+  assert.ok(checkRunMock.isDone(), "Check run should have been failed");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+});
+
+test("lists the members of each team once and caches them across events", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.TEAM_MEMBERS_CACHE_TTL = "60";
+
+  mockSettingsFile(2);
+  mockTimeline(475, 2);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .times(2)
+    .reply(200, { content: paymentsConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/475/files")
+    .query({ per_page: 100 })
+    .times(2)
+    .reply(200, [
+      { filename: "backend/payments/charge.js" }
+    ]);
+
+  // Listed once for both events, although both reviewers are checked in each event
+  const teamMembersMock = nock("https://api.github.com")
+    .get("/orgs/robandpdx/teams/payments-team/members")
+    .query({ per_page: 100 })
+    .reply(200, [{ login: "alice" }, { login: "carol" }]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/475/reviews")
+    .query({ per_page: 100 })
+    .times(2)
+    .reply(200, [
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      },
+      {
+        user: { login: "carol" },
+        state: "APPROVED",
+        submitted_at: "2023-01-02T00:00:00Z"
+      }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/475/comments")
+    .query({ per_page: 100 })
+    .times(2)
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/475/comments")
+    .times(2)
+    .reply(201, {});
+
+  for (const [id, reviewer] of [["31", "alice"], ["32", "carol"]]) {
+    await probot.receive({
+      name: "pull_request_review",
+      id,
+      payload: {
+        action: "submitted",
+        repository: {
+          owner: { login: "robandpdx" },
+          name: "advanced-codeowners-aws",
+        },
+        pull_request: {
+          number: 475,
+          base: { ref: "main" },
+          requested_teams: [
+            { name: "backend-approvers" }
+          ]
+        },
+        review: {
+          state: "approved",
+          user: { login: reviewer }
+        }
+      },
+    });
+  }
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(teamMembersMock.isDone(), "Team members should have been listed");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+
+  delete process.env.TEAM_MEMBERS_CACHE_TTL;
+});
+
+test("counts members of child teams as members of the parent team", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(476);
+
+  const platformConfigContent = Buffer.from(`
+patterns:
+  - pattern: "infra/**"
+    team-owners:
+    - "platform"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fplatform-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: platformConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/476/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "infra/main.tf" }
+    ]);
+
+  // dave is only a member of platform-infra, a grandchild of platform, GitHub lists him with the members of platform
+  const teamsMock = nock("https://api.github.com")
+    .get("/orgs/robandpdx/teams/platform/members")
+    .query({ per_page: 100 })
+    .reply(200, [{ login: "erin" }, { login: "dave" }]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/476/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "dave" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/476/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/476/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("team owner @platform"), "Should count dave as a platform member");
+        assert.ok(requestBody.body.includes("- ✅ `infra/main.tf`"), "Should show the file as approved");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "33",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 476,
+        base: { ref: "main" },
+        requested_teams: [
+          { name: "platform-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "dave" }
+      }
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(teamsMock.isDone(), "Team members should have been listed");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+});
+
+test("CLI previews the approvers of local files offline", async function () {
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "approvers-"));
+  fs.writeFileSync(path.join(configDir, "frontend-approvers.yaml"), Buffer.from(frontendConfigContent, "base64"));
+  fs.writeFileSync(path.join(configDir, "backend-approvers.yaml"), Buffer.from(backendConfigContent, "base64"));
+
+  try {
+    const markdown = spawnSync(process.execPath, [path.join(__dirname, "cli.js"), "--config-dir", configDir, "frontend/app.js", "docs/readme.md"], { encoding: "utf8" });
+    assert.is(markdown.status, 0, markdown.stderr);
+    assert.ok(markdown.stdout.includes("## 📋 Approvers Required"), "Should print the approvers comment");
+    assert.ok(markdown.stdout.includes("### 👥 Approvers: Individual: alice"), "Should list the frontend owner");
+    assert.ok(markdown.stdout.includes("- `docs/readme.md`"), "Should list the file without approvers");
+
+    const json = spawnSync(process.execPath, [path.join(__dirname, "cli.js"), "--config-dir", configDir, "--team", "backend-approvers", "--json", "backend/api.js", "frontend/app.js"], { encoding: "utf8" });
+    assert.is(json.status, 0, json.stderr);
+    const { files } = JSON.parse(json.stdout);
+    assert.equal(files.map(file => [file.path, file.owners]), [["backend/api.js", ["bob"]], ["frontend/app.js", []]]);
+
+    fs.writeFileSync(path.join(configDir, "broken-approvers.yaml"), "patterns:\n  - pattern: \"docs/**\"\n    owner: carol\n");
+    const invalid = spawnSync(process.execPath, [path.join(__dirname, "cli.js"), "--config-dir", configDir, "docs/readme.md"], { encoding: "utf8" });
+    assert.is(invalid.status, 1);
+    assert.ok(invalid.stderr.includes("broken-approvers.yaml:3: `patterns[0]` has unknown property `owner`"), "Should report config errors with their line");
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+});
+
+test("CLI previews the approvers of the files changed in a git diff", async function () {
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "approvers-"));
+  const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), "repo-"));
+  fs.writeFileSync(path.join(configDir, "backend-approvers.yaml"), Buffer.from(backendConfigContent, "base64"));
+  fs.writeFileSync(path.join(configDir, "docs-approvers.yaml"), "patterns:\n  - pattern: \"docs/**\"\n    owners: carol\n");
+
+  const git = (...args) => {
+    const result = spawnSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args], { cwd: repoDir, encoding: "utf8" });
+    assert.is(result.status, 0, result.stderr);
+  };
+
+  try {
+    fs.mkdirSync(path.join(repoDir, "backend/auth"), { recursive: true });
+    fs.mkdirSync(path.join(repoDir, "docs"));
+    fs.writeFileSync(path.join(repoDir, "backend/auth/token.js"), "module.exports = 'token';\n");
+    fs.writeFileSync(path.join(repoDir, "backend/old.js"), "module.exports = 'old';\n");
+    fs.writeFileSync(path.join(repoDir, "docs/é.md"), "# Guide\n");
+    git("init", "-q");
+    git("add", "-A");
+    git("commit", "-q", "-m", "base");
+
+    // Git quotes the non-ASCII path unless the diff is NUL-separated
+    fs.mkdirSync(path.join(repoDir, "shared"));
+    git("mv", "backend/auth/token.js", "shared/token.js");
+    git("rm", "-q", "backend/old.js");
+    fs.appendFileSync(path.join(repoDir, "docs/é.md"), "More\n");
+    git("commit", "-q", "-a", "-m", "head");
+
+    const result = spawnSync(process.execPath, [path.join(__dirname, "cli.js"), "--config-dir", configDir, "--json", "--base", "HEAD~1"], { cwd: repoDir, encoding: "utf8" });
+    assert.is(result.status, 0, result.stderr);
+    const { files } = JSON.parse(result.stdout);
+    assert.equal(files.map(file => [file.path, file.owners]), [
+      ["backend/old.js", ["bob"]],
+      ["docs/é.md", ["carol"]],
+      ["shared/token.js", ["bob"]]
+    ]);
+    assert.is(files[2].requirements[0].source.previousPath, "backend/auth/token.js");
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  }
+});
+
+const commandPullRequest = {
+  number: 477,
+  base: { ref: "main" },
+  head: { sha: "eee555" },
+  requested_teams: [
+    { name: "backend-approvers" }
+  ]
+};
+
+function commandCommentPayload(body, authorAssociation = "MEMBER") {
+  return {
+    action: "created",
+    repository: {
+      owner: { login: "robandpdx" },
+      name: "advanced-codeowners-aws",
+    },
+    issue: {
+      number: 477,
+      pull_request: {}
+    },
+    comment: {
+      body,
+      user: { login: "alice", type: "User" },
+      author_association: authorAssociation
+    }
+  };
+}
+
+test("explains the approvers of a file on /codeowners explain", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+
+  const pullMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477")
+    .reply(200, commandPullRequest);
+
+  const timelineMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/477/timeline")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: paymentsConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/payments/charge.js" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  const replyMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/477/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("Approvers of `backend/payments/charge.js`"), "Should name the file");
+        assert.ok(requestBody.body.includes("Teams: payments-team (all of them, 2 approval(s))"), "Should describe the requirement");
+        assert.ok(requestBody.body.includes("**Status:** ⏳ Pending"), "Should show the file as pending");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "issue_comment",
+    id: "34",
+    payload: commandCommentPayload("/codeowners explain backend/payments/charge.js"),
+  });
+
+  assert.ok(pullMock.isDone(), "Pull request should have been fetched");
+  assert.ok(timelineMock.isDone(), "Timeline should have been read");
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(replyMock.isDone(), "Explanation should have been posted");
+});
+
+test("re-requests reviews of pending owners on /codeowners re-request", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+
+  const pullMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477")
+    .reply(200, commandPullRequest);
+
+  const timelineMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/477/timeline")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: backendConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/api.js" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/477/requested_reviewers",
+      (requestBody) => {
+        assert.equal(requestBody.reviewers, ["bob"]);
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/477/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/477/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("Review requests have been sent to"), "Should confirm the review requests");
+        assert.ok(requestBody.body.includes("- ⏳ `backend/api.js`"), "Should show the file as pending");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "issue_comment",
+    id: "35",
+    payload: commandCommentPayload("/codeowners re-request"),
+  });
+
+  assert.ok(pullMock.isDone(), "Pull request should have been fetched");
+  assert.ok(timelineMock.isDone(), "Timeline should have been read");
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(reviewRequestMock.isDone(), "Reviews should have been re-requested");
+  assert.ok(commentMock.isDone(), "Status comment should have been updated");
+});
+
+test("ignores commands of users who are not members or collaborators of the repository", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  const pullMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477")
+    .reply(200, commandPullRequest);
+
+  await probot.receive({
+    name: "issue_comment",
+    id: "48",
+    payload: commandCommentPayload("/codeowners re-request", "NONE"),
+  });
+
+  assert.not.ok(pullMock.isDone(), "Command should have been ignored");
+});
+
+test("completes the check run and approves on /codeowners recompute", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+
+  const pullMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477")
+    .reply(200, commandPullRequest);
+
+  const timelineMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/477/timeline")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: backendConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/api.js" }
+    ]);
+
+  // Read for the approval status and again to find the approval of the bot user
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/reviews")
+    .query({ per_page: 100 })
+    .times(2)
+    .reply(200, [
+      {
+        id: 1,
+        user: { login: "bob" },
+        state: "APPROVED",
+        commit_id: "eee555",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const botUserMock = nock("https://api.github.com")
+    .get("/user")
+    .reply(200, { login: "codeowners-bot" });
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/eee555/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 1, check_runs: [{ id: 42 }] })
+    .patch(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs/42",
+      (requestBody) => {
+        assert.is(requestBody.status, "completed");
+        assert.is(requestBody.conclusion, "success");
+        assert.is(requestBody.output.title, "1 of 1 file(s) approved");
+        return true;
+      }
+    )
+    .reply(200, { id: 42 });
+
+  const prApprovalMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/477/reviews",
+      (requestBody) => {
+        assert.is(requestBody.event, "APPROVE");
+        return true;
+      }
+    )
+    .reply(200, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/477/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/477/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ✅ `backend/api.js`"), "Should show the file as approved");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "issue_comment",
+    id: "49",
+    payload: commandCommentPayload("/codeowners recompute"),
+  });
+
+  delete process.env.GITHUB_TOKEN;
+
+  assert.ok(pullMock.isDone(), "Pull request should have been fetched");
+  assert.ok(timelineMock.isDone(), "Timeline should have been read");
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(botUserMock.isDone(), "Bot user should have been looked up");
+  assert.ok(checkRunMock.isDone(), "Check run should have been completed");
+  assert.ok(prApprovalMock.isDone(), "PR should have been approved");
+  assert.ok(commentMock.isDone(), "Status comment should have been updated");
+});
+
+test("does not approve again on /codeowners recompute when the bot approval stands", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.GITHUB_TOKEN = "test-github-token";
+
+  mockSettingsFile();
+
+  const pullMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477")
+    .reply(200, commandPullRequest);
+
+  const timelineMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/477/timeline")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: backendConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/api.js" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/reviews")
+    .query({ per_page: 100 })
+    .times(2)
+    .reply(200, [
+      {
+        id: 1,
+        user: { login: "bob" },
+        state: "APPROVED",
+        commit_id: "eee555",
+        submitted_at: "2023-01-01T00:00:00Z"
+      },
+      {
+        id: 2,
+        user: { login: "codeowners-bot" },
+        state: "APPROVED",
+        commit_id: "eee555",
+        submitted_at: "2023-01-01T00:01:00Z"
+      }
+    ]);
+
+  const botUserMock = nock("https://api.github.com")
+    .get("/user")
+    .reply(200, { login: "codeowners-bot" });
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/eee555/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 1, check_runs: [{ id: 42 }] })
+    .patch(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs/42",
+      (requestBody) => {
+        assert.is(requestBody.status, "completed");
+        assert.is(requestBody.conclusion, "success");
+        assert.is(requestBody.output.title, "1 of 1 file(s) approved");
+        return true;
+      }
+    )
+    .reply(200, { id: 42 });
+
+  const prApprovalMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/477/reviews")
+    .reply(200, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/477/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/477/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ✅ `backend/api.js`"), "Should show the file as approved");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "issue_comment",
+    id: "50",
+    payload: commandCommentPayload("/codeowners recompute"),
+  });
+
+  delete process.env.GITHUB_TOKEN;
+
+  assert.ok(pullMock.isDone(), "Pull request should have been fetched");
+  assert.ok(timelineMock.isDone(), "Timeline should have been read");
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(botUserMock.isDone(), "Bot user should have been looked up");
+  assert.ok(checkRunMock.isDone(), "Check run should have been completed");
+  assert.not.ok(prApprovalMock.isDone(), "PR should not have been approved again");
+  assert.ok(commentMock.isDone(), "Status comment should have been updated");
+});
+
+test("refreshes the status comment on /codeowners status", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+
+  const pullMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477")
+    .reply(200, commandPullRequest);
+
+  const timelineMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/477/timeline")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: backendConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/api.js" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/477/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  // Only the status comment is refreshed, the check run and the review requests are left alone
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/eee555/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] });
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/477/requested_reviewers")
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/477/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/477/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ⏳ `backend/api.js`"), "Should show the file as pending");
+        assert.not.ok(requestBody.body.includes("Review requests have been sent to"), "Should not request reviews");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "issue_comment",
+    id: "51",
+    payload: commandCommentPayload("/codeowners status"),
+  });
+
+  assert.ok(pullMock.isDone(), "Pull request should have been fetched");
+  assert.ok(timelineMock.isDone(), "Timeline should have been read");
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been updated");
+  assert.not.ok(checkRunMock.isDone(), "Check run should not have been touched");
+  assert.not.ok(reviewRequestMock.isDone(), "Reviews should not have been requested");
+});
+
+test("lists the patterns that matched each file with detailed comment verbosity", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.COMMENT_VERBOSITY = "detailed";
+
+  mockSettingsFile();
+  mockTimeline(478);
+
+  const layeredConfigContent = Buffer.from(`
+patterns:
+  - pattern: "backend/**/*"
+    owners:
+    - "bob"
+  - pattern: "backend/**/*.sql"
+    team-owners:
+    - "dba-team"
+fallback:
+  owners:
+  - "carol"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: layeredConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/478/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/schema.sql" },
+      { filename: "README.md" }
+    ]);
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/pulls/478/requested_reviewers")
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/478/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/478/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("- ⏳ `backend/schema.sql`\n  - `backend/**/*` (patterns[0] of `.github/approvers/backend-approvers.yaml`)\n  - `backend/**/*.sql` (patterns[1] of `.github/approvers/backend-approvers.yaml`)\n"), "Should list both matched patterns");
+        assert.ok(requestBody.body.includes("- ⏳ `README.md`\n  - fallback of `.github/approvers/backend-approvers.yaml`\n"), "Should show that the fallback was used");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/478/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  await probot.receive({
+    name: "pull_request",
+    id: "36",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 478,
+        base: { ref: "main" }
+      },
+      requested_team: {
+        name: "backend-approvers",
+      },
+    },
+  });
+
+  delete process.env.COMMENT_VERBOSITY;
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+});
+
+test("merges extended and included configs, also from another repository", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(479);
+
+  const teamConfigContent = Buffer.from(`
+extends: common.yaml
+include: robandpdx/.github:approvers/security.yaml
+patterns:
+  - pattern: "backend/**/*"
+    owners:
+    - "bob"
+`).toString('base64');
+
+  const commonConfigContent = Buffer.from(`
+patterns:
+  - pattern: "**/*.md"
+    team-owners:
+    - "docs-team"
+fallback:
+  owners:
+  - "carol"
+`).toString('base64');
+
+  const securityConfigContent = Buffer.from(`
+patterns:
+  - pattern: "**/*.key"
+    team-owners:
+    - "security-team"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: teamConfigContent, encoding: "base64" })
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fcommon.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: commonConfigContent, encoding: "base64" })
+    .get("/repos/robandpdx/.github/contents/approvers%2Fsecurity.yaml")
+    .reply(200, { content: securityConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/479/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "backend/tls.key" },
+      { filename: "docs/setup.md" },
+      { filename: "Makefile" }
+    ]);
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/479/requested_reviewers",
+      (requestBody) => {
+        assert.equal(requestBody.reviewers.sort(), ["bob", "carol"]);
+        assert.equal(requestBody.team_reviewers.sort(), ["docs-team", "security-team"]);
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/479/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/479/comments")
+    .reply(201, {});
+
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/479/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  await probot.receive({
+    name: "pull_request",
+    id: "37",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 479,
+        base: { ref: "main" }
+      },
+      requested_team: {
+        name: "backend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config files should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+});
+
+test("reports configs that include each other", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(480);
+
+  const teamConfigContent = Buffer.from(`include: shared.yaml
+`).toString('base64');
+
+  const sharedConfigContent = Buffer.from(`include:
+  - backend-approvers.yaml
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: teamConfigContent, encoding: "base64" })
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fshared.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: sharedConfigContent, encoding: "base64" });
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/fff666/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.is(requestBody.conclusion, "failure");
+        assert.is(requestBody.output.title, "Invalid approvers configuration");
+        assert.is(requestBody.output.annotations.length, 1);
+        assert.is(requestBody.output.annotations[0].path, ".github/approvers/shared.yaml");
+        assert.is(requestBody.output.annotations[0].start_line, 2);
+        return true;
+      }
+    )
+    .reply(201, { id: 42 });
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/480/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/480/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("**`.github/approvers/shared.yaml`**"), "Should name the config with the cycle");
+        assert.ok(requestBody.body.includes("- Line 2: `include[0]` creates a cycle: .github/approvers/backend-approvers.yaml → .github/approvers/shared.yaml → .github/approvers/backend-approvers.yaml"), "Should describe the cycle");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request",
+    id: "38",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 480,
+        base: { ref: "main" },
+        head: { sha: "fff666" }
+      },
+      requested_team: {
+        name: "backend-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config files should have been fetched");
+  assert.ok(checkRunMock.isDone(), "Check run should have been failed");
+  assert.ok(commentMock.isDone(), "Invalid config comment should have been posted");
+});
+
+test("reads approvers configs from the central config repository", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.CENTRAL_CONFIG_REPO = "robandpdx/.github";
+
+  mockSettingsFile();
+  mockTimeline(481);
+
+  // No override for this repository, so the org-wide config of the team is used
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/.github/contents/approvers%2Fadvanced-codeowners-aws%2Ffrontend-approvers.yaml")
+    .reply(404, { message: "Not Found" })
+    .get("/repos/robandpdx/.github/contents/approvers%2Ffrontend-approvers.yaml")
+    .reply(200, { content: frontendConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/481/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "frontend/app.js" }
+    ]);
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/481/requested_reviewers",
+      (requestBody) => {
+        assert.equal(requestBody.reviewers, ["alice"]);
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/481/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/481/comments")
+    .reply(201, {});
+
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/481/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  await probot.receive({
+    name: "pull_request",
+    id: "39",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 481,
+        base: { ref: "main" }
+      },
+      requested_team: {
+        name: "frontend-approvers",
+      },
+    },
+  });
+
+  delete process.env.CENTRAL_CONFIG_REPO;
+
+  assert.ok(configMock.isDone(), "Configs should have been looked up in the central repository");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+});
+
+test("uses the per-repository settings file over the environment", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  const settingsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fadvanced-codeowners.yml")
+    .reply(200, "config-path: ownership\nteam-suffix: -owners\nauto-approve: false\n", { "content-type": "text/plain; charset=utf-8" });
+
+  mockTimeline(482);
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/ownership%2Ffrontend-owners.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: frontendConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/482/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "frontend/app.js" }
+    ]);
+
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/482/reviews")
+    .query({ per_page: 100 })
+    .reply(200, [
+      {
+        user: { login: "alice" },
+        state: "APPROVED",
+        submitted_at: "2023-01-01T00:00:00Z"
+      }
+    ]);
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/482/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/482/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("All Required Approvals Received"), "Should report that all criteria are met");
+        assert.ok(!requestBody.body.includes("automatic approval failed"), "Should not try to approve");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "pull_request_review",
+    id: "40",
+    payload: {
+      action: "submitted",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 482,
+        base: { ref: "main" },
+        requested_teams: [
+          { name: "frontend-owners" },
+          { name: "frontend-approvers" }
+        ]
+      },
+      review: {
+        state: "approved",
+        user: { login: "alice" }
+      }
+    },
+  });
+
+  assert.ok(settingsMock.isDone(), "Settings file should have been read");
+  assert.ok(configMock.isDone(), "Config file should have been read from the configured path");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+});
+
+test("opens a pull request when CODEOWNERS is out of sync with the configs", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.SYNC_CODEOWNERS = "true";
+
+  mockSettingsFile();
+
+  const expectedCodeowners = [
+    "* @robandpdx/maintainers",
+    "",
+    "# BEGIN advanced-codeowners: generated from the approvers configs, do not edit",
+    "backend/**/* @robandpdx/backend-approvers",
+    "# END advanced-codeowners",
+    ""
+  ].join("\n");
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers")
+    .query({ ref: "main" })
+    .reply(200, [
+      { type: "file", name: "backend-approvers.yaml", path: ".github/approvers/backend-approvers.yaml" },
+      { type: "file", name: "README.md", path: ".github/approvers/README.md" }
+    ])
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: backendConfigContent, encoding: "base64" });
+
+  const codeownersMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2FCODEOWNERS")
+    .query({ ref: "main" })
+    .reply(200, { content: Buffer.from("* @robandpdx/maintainers\n").toString("base64"), encoding: "base64", sha: "abc123" })
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2FCODEOWNERS")
+    .query({ ref: "advanced-codeowners/sync-codeowners" })
+    .reply(200, { sha: "abc123" })
+    .put(
+      "/repos/robandpdx/advanced-codeowners-aws/contents/.github%2FCODEOWNERS",
+      (requestBody) => {
+        assert.is(Buffer.from(requestBody.content, "base64").toString("utf8"), expectedCodeowners);
+        assert.is(requestBody.branch, "advanced-codeowners/sync-codeowners");
+        assert.is(requestBody.sha, "abc123");
+        return true;
+      }
+    )
+    .reply(200, {});
+
+  const branchMock = nock("https://api.github.com")
+    .post("/repos/robandpdx/advanced-codeowners-aws/git/refs", {
+      ref: "refs/heads/advanced-codeowners/sync-codeowners",
+      sha: "ggg777"
+    })
+    .reply(201, {});
+
+  const pullRequestMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls")
+    .query({ head: "robandpdx:advanced-codeowners/sync-codeowners", state: "open" })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls",
+      (requestBody) => {
+        assert.is(requestBody.head, "advanced-codeowners/sync-codeowners");
+        assert.is(requestBody.base, "main");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  await probot.receive({
+    name: "push",
+    id: "41",
+    payload: {
+      ref: "refs/heads/main",
+      after: "ggg777",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+        default_branch: "main"
+      },
+      commits: [
+        { added: [], modified: [".github/approvers/backend-approvers.yaml"], removed: [] }
+      ]
+    },
+  });
+
+  delete process.env.SYNC_CODEOWNERS;
+
+  assert.ok(configMock.isDone(), "Configs should have been read");
+  assert.ok(codeownersMock.isDone(), "CODEOWNERS should have been updated");
+  assert.ok(branchMock.isDone(), "Sync branch should have been created");
+  assert.ok(pullRequestMock.isDone(), "Pull request should have been opened");
+});
+
+test("CLI regenerates the routing of a CODEOWNERS file", async function () {
+  const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "approvers-"));
+  fs.writeFileSync(path.join(configDir, "backend-approvers.yaml"), Buffer.from(backendConfigContent, "base64"));
+  fs.writeFileSync(path.join(configDir, "dba-approvers.yaml"), "patterns:\n  - pattern: \"backend/**/*.{sql,ddl}\"\n    owners: dave\n");
+
+  try {
+    const result = spawnSync(process.execPath, [path.join(__dirname, "cli.js"), "--config-dir", configDir, "--codeowners", path.join(configDir, "CODEOWNERS"), "--org", "robandpdx"], { encoding: "utf8" });
+    assert.is(result.status, 0, result.stderr);
+    assert.is(result.stdout, [
+      "# BEGIN advanced-codeowners: generated from the approvers configs, do not edit",
+      "backend/**/* @robandpdx/backend-approvers",
+      "backend/**/*.sql @robandpdx/backend-approvers @robandpdx/dba-approvers",
+      "backend/**/*.ddl @robandpdx/backend-approvers @robandpdx/dba-approvers",
+      "# END advanced-codeowners",
+      ""
+    ].join("\n"));
+  } finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  }
+});
+
+test("routes files of overlapping patterns to the teams of both", async function () {
+  const block = generateCodeownersBlock("robandpdx", [
+    { teamName: "docs-approvers", config: { patterns: [{ pattern: "docs/**" }] } },
+    { teamName: "md-approvers", config: { patterns: [{ pattern: "**/*.md" }] } },
+    { teamName: "dba-approvers", config: { patterns: [{ pattern: "db/**/*.sql" }] } }
+  ]);
+
+  // docs/readme.md matches the **/*.md line last, the db line can not match the same files as the others
+  assert.is(block, [
+    "# BEGIN advanced-codeowners: generated from the approvers configs, do not edit",
+    "docs/** @robandpdx/docs-approvers",
+    "**/*.md @robandpdx/docs-approvers @robandpdx/md-approvers",
+    "db/**/*.sql @robandpdx/dba-approvers",
+    "# END advanced-codeowners",
+    ""
+  ].join("\n"));
+});
+
+test("widens character classes and extglobs that CODEOWNERS does not support", async function () {
+  const block = generateCodeownersBlock("robandpdx", [
+    { teamName: "web-approvers", config: { patterns: [{ pattern: "src/*.[jt]s" }, { pattern: "lib/+(a|b)/**" }] } },
+    { teamName: "native-approvers", config: { patterns: [{ pattern: "src/*.[ch]" }] } }
+  ]);
+
+  // GitHub skips lines it can not parse, so the segments are widened to a pattern matching every file they match
+  assert.is(block, [
+    "# BEGIN advanced-codeowners: generated from the approvers configs, do not edit",
+    "src/* @robandpdx/native-approvers @robandpdx/web-approvers",
+    "lib/*/** @robandpdx/web-approvers",
+    "# END advanced-codeowners",
+    ""
+  ].join("\n"));
+});
+
+test("CLI imports a CODEOWNERS file into an approvers config", async function () {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "approvers-"));
+  const configDir = path.join(workDir, "approvers");
+  fs.writeFileSync(path.join(workDir, "CODEOWNERS"), [
+    "# Default owners",
+    "*              @robandpdx/platform",
+    "*.js           @alice @robandpdx/js-team",
+    "/docs/         @dana docs@example.com",
+    "/src/my\\ app/  @carol  # escaped space",
+    ""
+  ].join("\n"));
+
+  try {
+    const result = spawnSync(process.execPath, [path.join(__dirname, "cli.js"), "--import", path.join(workDir, "CODEOWNERS"), "--org", "robandpdx", "--team", "monorepo-approvers", "--config-dir", configDir], { encoding: "utf8" });
+    assert.is(result.status, 0, result.stderr);
+    assert.ok(result.stdout.includes("\n* @robandpdx/monorepo-approvers\n"), "Should route every file to the team");
+    assert.ok(result.stderr.includes("Line 4: email owner `docs@example.com` can not be mapped to a GitHub user"), "Should warn about email owners");
+
+    // The last matching CODEOWNERS line still decides the owners of a file
+    const preview = spawnSync(process.execPath, [path.join(__dirname, "cli.js"), "--config-dir", configDir, "--json", "README.md", "lib/index.js", "src/my app/main.js", "docs/guide.md"], { encoding: "utf8" });
+    assert.is(preview.status, 0, preview.stderr);
+    const { files } = JSON.parse(preview.stdout);
+    assert.equal(files.map(file => [file.path, file.owners, file.teamOwners]), [
+      ["README.md", [], ["platform"]],
+      ["lib/index.js", ["alice"], ["js-team"]],
+      ["src/my app/main.js", ["carol"], []],
+      ["docs/guide.md", ["dana"], []]
+    ]);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test("CLI refuses to import CODEOWNERS lines whose owners can not be kept", async function () {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "approvers-"));
+  const configDir = path.join(workDir, "approvers");
+  fs.writeFileSync(path.join(workDir, "CODEOWNERS"), [
+    "*              @robandpdx/platform",
+    "/docs/         docs@example.com",
+    "/vendor/       @other-org/vendors",
+    ""
+  ].join("\n"));
+
+  try {
+    const result = spawnSync(process.execPath, [path.join(__dirname, "cli.js"), "--import", path.join(workDir, "CODEOWNERS"), "--org", "robandpdx", "--team", "monorepo-approvers", "--config-dir", configDir], { encoding: "utf8" });
+    assert.is(result.status, 1, result.stderr);
+    assert.is(result.stdout, "");
+    assert.ok(result.stderr.includes("Line 2: `/docs/` is only owned by email addresses"), "Should reject the email-only line");
+    assert.ok(result.stderr.includes("Line 3: team `@other-org/vendors` is not in the robandpdx organization"), "Should reject teams of other organizations");
+    assert.not.ok(fs.existsSync(path.join(configDir, "monorepo-approvers.yaml")), "Should not write the config");
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+// Examples of the CODEOWNERS documentation of GitHub, as [pattern, path, expected match]
+const codeownersConformanceCases = [
+  ["*", "README.md", true],
+  ["*", "src/deeply/nested/file.js", true],
+  ["*", ".github/workflows/ci.yml", true],
+  ["*.js", "app.js", true],
+  ["*.js", "src/app.js", true],
+  ["*.js", "app.jsx", false],
+  ["*.yml", ".github/workflows/ci.yml", true],
+  ["/build/logs/", "build/logs/output.log", true],
+  ["/build/logs/", "build/logs/2024/output.log", true],
+  ["/build/logs/", "src/build/logs/output.log", false],
+  ["/build/logs/", "build/logs", false],
+  ["docs/*", "docs/getting-started.md", true],
+  ["docs/*", "docs/build-app/troubleshooting.md", false],
+  ["docs/*", "src/docs/getting-started.md", false],
+  ["apps/", "apps/web/index.js", true],
+  ["apps/", "src/apps/web/index.js", true],
+  ["/docs/", "docs/build-app/troubleshooting.md", true],
+  ["/docs/", "src/docs/index.md", false],
+  ["**/logs", "build/logs/output.log", true],
+  ["**/logs", "logs/output.log", true],
+  ["**/logs", "deeply/nested/logs/output.log", true],
+  ["/apps/github", "apps/github/index.js", true],
+  ["/apps/github", "apps/github", true],
+  ["/apps/github", "src/apps/github/index.js", false],
+  ["README.md", "docs/README.md", true],
+  ["/README.md", "docs/README.md", false],
+  ["docs/**/*.md", "docs/guide.md", true],
+  ["docs/**/*.md", "docs/a/b/guide.md", true],
+  ["a?.js", "ab.js", true],
+  ["a?.js", "a/.js", false],
+  // Character ranges, braces and negation are not supported by CODEOWNERS
+  ["[ab].js", "a.js", false],
+  ["{a,b}.js", "a.js", false],
+  ["!app.js", "app.js", false],
+];
+
+test("matches patterns like GitHub CODEOWNERS with the codeowners syntax", async function () {
+  for (const [pattern, filePath, expected] of codeownersConformanceCases) {
+    assert.is(matchesPattern(filePath, { pattern }, "codeowners"), expected, `${pattern} should ${expected ? "" : "not "}match ${filePath}`);
+  }
+
+  // Exclude patterns use the same syntax
+  assert.not.ok(matchesPattern("src/vendor/lib.js", { pattern: "*.js", exclude: "vendor/" }, "codeowners"));
+  // The default glob syntax is unchanged
+  assert.not.ok(matchesPattern("src/app.js", { pattern: "*.js" }));
+  assert.not.ok(matchesPattern(".github/ci.yml", { pattern: "**/*.yml" }));
+});
+
+test("requires the owners of both paths of renamed files and of deleted files unless ignored", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+  process.env.COMMENT_VERBOSITY = "detailed";
+
+  mockSettingsFile();
+  mockTimeline(483);
+
+  const renameConfigContent = Buffer.from(`
+patterns:
+  - pattern: "backend/auth/**"
+    team-owners:
+    - "auth-team"
+  - pattern: "shared/**"
+    team-owners:
+    - "shared-team"
+  - pattern: "backend/generated/**"
+    on-delete: ignore
+    team-owners:
+    - "codegen-team"
+fallback:
+  team-owners:
+  - "platform-team"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fbackend-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: renameConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/483/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "shared/token.js", status: "renamed", previous_filename: "backend/auth/token.js" },
+      { filename: "backend/auth/session.js", status: "removed" },
+      { filename: "backend/generated/schema.json", status: "removed" },
+      { filename: "backend/generated/types.ts", status: "modified" }
+    ]);
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/483/requested_reviewers",
+      (requestBody) => {
+        assert.equal(requestBody.team_reviewers.sort(), ["auth-team", "codegen-team", "shared-team"]);
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/483/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/issues/483/comments",
+      (requestBody) => {
+        assert.ok(requestBody.body.includes("  - `backend/auth/**` (patterns[0] of `.github/approvers/backend-approvers.yaml`, matching the previous path `backend/auth/token.js`)\n"), "Should list the pattern of the previous path");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/aaa483/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.ok(requestBody.output.text.includes("| `shared/token.js` | - | auth-team, shared-team | ⏳ Pending |"), "Renamed file should need the owners of both paths");
+        assert.ok(requestBody.output.text.includes("| `backend/auth/session.js` | - | auth-team | ⏳ Pending |"), "Deleted files should need their owners by default");
+        assert.ok(requestBody.output.text.includes("| `backend/generated/schema.json` | - | - | ➖ No approvers |"), "Ignored deletion should not fall back");
+        assert.ok(requestBody.output.text.includes("| `backend/generated/types.ts` | - | codegen-team | ⏳ Pending |"), "Changes should still need the owners");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/483/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  await probot.receive({
+    name: "pull_request",
+    id: "42",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 483,
+        base: { ref: "main" },
+        head: { sha: "aaa483" }
+      },
+      requested_team: {
+        name: "backend-approvers",
+      },
+    },
+  });
+
+  delete process.env.COMMENT_VERBOSITY;
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(checkRunMock.isDone(), "Check run should have been created");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+});
+
+test("only applies patterns whose conditions on the change are met", async function () {
+  process.env.CONFIG_PATH = ".github/approvers";
+
+  mockSettingsFile();
+  mockTimeline(484);
+
+  const conditionalConfigContent = Buffer.from(`
+patterns:
+  - pattern: "db/migrations/**"
+    status: added
+    team-owners:
+    - "dba-team"
+  - pattern: "**/*.js"
+    patch: "eval\\\\(|process\\\\.env"
+    team-owners:
+    - "security-team"
+  - pattern: "**/*"
+    min-changes: 100
+    team-owners:
+    - "architects"
+`).toString('base64');
+
+  const configMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/contents/.github%2Fapprovers%2Fplatform-approvers.yaml")
+    .query({ ref: "main" })
+    .reply(200, { content: conditionalConfigContent, encoding: "base64" });
+
+  const filesMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/484/files")
+    .query({ per_page: 100 })
+    .reply(200, [
+      { filename: "db/migrations/002_add_index.sql", status: "added", changes: 5 },
+      { filename: "db/migrations/001_init.sql", status: "modified", changes: 2 },
+      { filename: "src/config.js", status: "modified", changes: 2, patch: "@@ -1,2 +1,2 @@\n-const port = 80;\n+const port = process.env.PORT;\n module.exports = port;" },
+      { filename: "src/util.js", status: "modified", changes: 150, patch: "@@ -1,2 +1,2 @@\n // avoid eval( here\n-const a = 0;\n+const a = 1;" },
+      { filename: "src/huge.js", status: "modified", changes: 3 }
+    ]);
+
+  const reviewRequestMock = nock("https://api.github.com")
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/pulls/484/requested_reviewers",
+      (requestBody) => {
+        assert.equal(requestBody.team_reviewers.sort(), ["architects", "dba-team", "security-team"]);
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  const commentMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/issues/484/comments")
+    .query({ per_page: 100 })
+    .reply(200, [])
+    .post("/repos/robandpdx/advanced-codeowners-aws/issues/484/comments")
+    .reply(201, {});
+
+  const checkRunMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/commits/aaa484/check-runs")
+    .query({ check_name: "advanced-codeowners" })
+    .reply(200, { total_count: 0, check_runs: [] })
+    .post(
+      "/repos/robandpdx/advanced-codeowners-aws/check-runs",
+      (requestBody) => {
+        assert.ok(requestBody.output.text.includes("| `db/migrations/002_add_index.sql` | - | dba-team | ⏳ Pending |"), "Added migration should need the DBAs");
+        assert.ok(requestBody.output.text.includes("| `db/migrations/001_init.sql` | - | - | ➖ No approvers |"), "Modified migration should not need the DBAs");
+        assert.ok(requestBody.output.text.includes("| `src/config.js` | - | security-team | ⏳ Pending |"), "Changed line matching the patch regex should need security");
+        assert.ok(requestBody.output.text.includes("| `src/util.js` | - | architects | ⏳ Pending |"), "Context lines should not match and large changes should need the architects");
+        assert.ok(requestBody.output.text.includes("| `src/huge.js` | - | security-team | ⏳ Pending |"), "A missing patch should not skip the owners");
+        return true;
+      }
+    )
+    .reply(201, {});
+
+  // Nobody has reviewed yet
+  const reviewsMock = nock("https://api.github.com")
+    .get("/repos/robandpdx/advanced-codeowners-aws/pulls/484/reviews")
+    .query({ per_page: 100 })
+    .reply(200, []);
+
+  await probot.receive({
+    name: "pull_request",
+    id: "43",
+    payload: {
+      action: "review_requested",
+      repository: {
+        owner: { login: "robandpdx" },
+        name: "advanced-codeowners-aws",
+      },
+      pull_request: {
+        number: 484,
+        base: { ref: "main" },
+        head: { sha: "aaa484" }
+      },
+      requested_team: {
+        name: "platform-approvers",
+      },
+    },
+  });
+
+  assert.ok(configMock.isDone(), "Config file should have been fetched");
+  assert.ok(filesMock.isDone(), "PR files should have been fetched");
+  assert.ok(reviewRequestMock.isDone(), "Review request should have been made");
+  assert.ok(commentMock.isDone(), "Status comment should have been posted");
+  assert.ok(checkRunMock.isDone(), "Check run should have been created");
+  assert.ok(reviewsMock.isDone(), "Reviews should have been fetched");
+
+  const { errors } = parseApproversConfig(`patterns:
+  - pattern: "**/*.js"
+    status: [added, deleted]
+    patch: "eval("
+`);
+  assert.equal(errors.map(error => error.line), [3, 4]);
+  assert.ok(errors[0].message.startsWith("`patterns[0].status[1]` must be one of: added, removed"), errors[0].message);
+  assert.ok(errors[1].message.startsWith("`patterns[0].patch` is not a valid regular expression"), errors[1].message);
 });
 
 test.run();